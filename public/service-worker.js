@@ -0,0 +1,100 @@
+// --- Service Worker ---
+// Caches the app shell so the converter installs as a PWA and still opens offline.
+// Built assets under /assets/ carry a content hash in their name, so they are served from the cache once stored.
+// Everything else goes to the network first and falls back to the cache. API calls are never cached.
+// Registered with the build id in its URL, so each deploy gets its own shell cache.
+const CACHE_VERSION = new URL(self.location.href).searchParams.get('build') || 'dev';
+const SHELL_CACHE = `app-shell-${CACHE_VERSION}`;
+// Shared between builds: unchanged chunks keep their name and need no new download
+const ASSET_CACHE = 'assets';
+const SHELL_URLS = ['/', '/manifest.json', '/favicon.ico', '/logo192.png', '/logo512.png'];
+
+// The shell's scripts and styles are only known from the built index.html
+const ASSET_PATTERN = /(?:src|href)="(\/assets\/[^"]+)"/g;
+
+const isAssetPath = (pathname) => pathname.startsWith('/assets/');
+
+const getShellAssets = async () => {
+  const shell = await caches.match('/', { cacheName: SHELL_CACHE });
+  return shell ? [...(await shell.text()).matchAll(ASSET_PATTERN)].map((match) => match[1]) : [];
+};
+
+const cacheAppShell = async () => {
+  const shellCache = await caches.open(SHELL_CACHE);
+  await shellCache.addAll(SHELL_URLS);
+  const assetCache = await caches.open(ASSET_CACHE);
+  await assetCache.addAll(await getShellAssets());
+};
+
+// Drops the shell caches of earlier builds and the assets the current index.html no longer references
+const removeOutdatedCaches = async () => {
+  const keys = await caches.keys();
+  await Promise.all(keys.filter((key) => key !== SHELL_CACHE && key !== ASSET_CACHE).map((key) => caches.delete(key)));
+  const current = new Set(await getShellAssets());
+  const assetCache = await caches.open(ASSET_CACHE);
+  const stored = await assetCache.keys();
+  await Promise.all(stored
+    .filter((request) => !current.has(new URL(request.url).pathname))
+    .map((request) => assetCache.delete(request)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheAppShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(removeOutdatedCaches().then(() => self.clients.claim()));
+});
+
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    const isHtml = (response.headers.get('content-type') || '').includes('text/html');
+    if (response.ok && (isHtml || new URL(request.url).pathname === '/')) {
+      // Every route renders from the same index.html, keep the newest one as the shell
+      const shellCache = await caches.open(SHELL_CACHE);
+      await shellCache.put('/', response.clone());
+    }
+    return response;
+  } catch (err) {
+    return (await caches.match('/', { cacheName: SHELL_CACHE })) || Response.error();
+  }
+};
+
+const handleAsset = async (request) => {
+  const cached = await caches.match(request, { cacheName: ASSET_CACHE });
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    const assetCache = await caches.open(ASSET_CACHE);
+    await assetCache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Manifest, icons and other public files may change without a new name, the cached copy is only for offline use
+const handleOther = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    return (await caches.match(request, { cacheName: SHELL_CACHE })) || Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Only same-origin reads of the app itself; the backend and third-party scripts go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (isAssetPath(url.pathname)) {
+    event.respondWith(handleAsset(request));
+  } else {
+    event.respondWith(handleOther(request));
+  }
+});
@@ -0,0 +1,507 @@
+import { act, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { http, HttpResponse } from 'msw';
+import App from './App';
+import { server } from './mocks/server';
+import { API_URL, mockResults } from './mocks/handlers';
+
+const PLAYLIST_URL = 'https://music.youtube.com/playlist?list=PLtestplaylist123';
+
+const storeValidTokens = ({ expiresInMs = 60 * 60 * 1000, refreshToken = 'refresh-token' } = {}) => {
+  localStorage.setItem('spotify_access_token', 'access-token');
+  if (refreshToken) {
+    localStorage.setItem('spotify_refresh_token', refreshToken);
+  }
+  localStorage.setItem('spotify_expiry_timestamp', String(Date.now() + expiresInMs));
+};
+
+const renderAt = (path) => {
+  window.history.pushState({}, '', path);
+  return render(<App />);
+};
+
+// Fills in the playlist URL and submits once the preview has loaded
+const submitConversion = async () => {
+  await userEvent.type(await screen.findByLabelText(/YouTube Music Playlist URL/i), PLAYLIST_URL);
+  const button = screen.getByRole('button', { name: 'Convert Playlist' });
+  await waitFor(() => expect(button).toBeEnabled(), { timeout: 2000 });
+  await userEvent.click(button);
+};
+
+beforeEach(() => {
+  // The app logs every auth and request step, keep test output readable
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('AuthCallback', () => {
+  test('stores tokens from the hash and removes them from the URL', async () => {
+    renderAt('/auth/callback#access_token=new-access&refresh_token=new-refresh&expires_in=3600');
+
+    expect(await screen.findByText(/Logged in as/i)).toHaveTextContent('Test User');
+    expect(localStorage.getItem('spotify_access_token')).toBe('new-access');
+    expect(localStorage.getItem('spotify_refresh_token')).toBe('new-refresh');
+    expect(window.location.hash).toBe('');
+  });
+
+  test('shows the login error passed back by the backend', async () => {
+    renderAt('/auth/callback#error=access_denied');
+
+    expect(await screen.findByText(/Login failed: access denied/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Login with Spotify' })).toBeInTheDocument();
+    expect(localStorage.getItem('spotify_access_token')).toBeNull();
+  });
+
+  test('reports a callback without tokens or error as invalid', async () => {
+    renderAt('/auth/callback#unexpected=1');
+
+    expect(await screen.findByText(/Invalid authentication callback received/i)).toBeInTheDocument();
+  });
+});
+
+describe('checkAuthStatus', () => {
+  test('logs in with a valid token', async () => {
+    storeValidTokens();
+    renderAt('/');
+
+    expect(await screen.findByText(/Logged in as/i)).toHaveTextContent('Test User');
+  });
+
+  test('shows the login prompt when there is no token', async () => {
+    renderAt('/');
+
+    expect(await screen.findByRole('button', { name: 'Login with Spotify' })).toBeInTheDocument();
+  });
+
+  test('clears an expired token that cannot be refreshed', async () => {
+    storeValidTokens({ expiresInMs: -1000, refreshToken: null });
+    renderAt('/');
+
+    expect(await screen.findByRole('button', { name: 'Login with Spotify' })).toBeInTheDocument();
+    expect(localStorage.getItem('spotify_access_token')).toBeNull();
+  });
+
+  test('refreshes an expired token before checking the session', async () => {
+    storeValidTokens({ expiresInMs: -1000 });
+    let authHeader = null;
+    server.use(
+      http.get(API_URL('/auth/status'), ({ request }) => {
+        authHeader = request.headers.get('Authorization');
+        return HttpResponse.json({ user: { id: 'test-user', display_name: 'Test User' } });
+      }),
+    );
+    renderAt('/');
+
+    expect(await screen.findByText(/Logged in as/i)).toBeInTheDocument();
+    expect(authHeader).toBe('Bearer refreshed-token');
+    expect(localStorage.getItem('spotify_access_token')).toBe('refreshed-token');
+    // The refresh response had no new refresh token, the old one is kept
+    expect(localStorage.getItem('spotify_refresh_token')).toBe('refresh-token');
+  });
+});
+
+describe('API 401 handling', () => {
+  test('logs out when the token is rejected and the refresh fails', async () => {
+    storeValidTokens();
+    server.use(
+      http.get(API_URL('/auth/status'), () => HttpResponse.json({ message: 'Unauthorized' }, { status: 401 })),
+      http.post(API_URL('/auth/refresh'), () => HttpResponse.json({ error: 'invalid_grant' }, { status: 400 })),
+    );
+    renderAt('/');
+
+    expect(await screen.findByText(/Your session has expired or is invalid/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Login with Spotify' })).toBeInTheDocument();
+    expect(localStorage.getItem('spotify_access_token')).toBeNull();
+  });
+
+  test('retries the request once the refresh succeeds', async () => {
+    storeValidTokens();
+    let statusCalls = 0;
+    server.use(
+      http.get(API_URL('/auth/status'), () => {
+        statusCalls += 1;
+        return statusCalls === 1
+          ? HttpResponse.json({ message: 'Unauthorized' }, { status: 401 })
+          : HttpResponse.json({ user: { id: 'test-user', display_name: 'Test User' } });
+      }),
+    );
+    renderAt('/');
+
+    expect(await screen.findByText(/Logged in as/i)).toBeInTheDocument();
+    expect(statusCalls).toBe(2);
+  });
+});
+
+describe('handleConvert', () => {
+  test('renders the results of a successful conversion', async () => {
+    storeValidTokens();
+    renderAt('/');
+    await submitConversion();
+
+    expect(await screen.findByText('Conversion Results')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: mockResults.spotify_playlist_name })).toHaveAttribute('href', mockResults.spotify_playlist_url);
+    expect(screen.getByText('Processed 3 tracks from YouTube Music.')).toBeInTheDocument();
+    expect(screen.getByText('Missing Song - Unknown Artist')).toBeInTheDocument();
+  });
+
+  test('shows titles and problems with & and / as they are', async () => {
+    storeValidTokens();
+    server.use(
+      http.get(API_URL('/convert/jobs/:jobId'), () => HttpResponse.json({
+        success: true,
+        data: {
+          status: 'completed',
+          result: {
+            ...mockResults,
+            spotify_playlist_name: 'Simon & Garfunkel',
+            not_found_tracks: ['Back in Black - AC/DC'],
+            api_errors: [
+              { track: 'Back in Black - AC/DC', message: 'See https://example.com/help', code: 'not_found' },
+              'Rate limit for Simon & Garfunkel',
+            ],
+          },
+        },
+      })),
+    );
+    renderAt('/');
+    await submitConversion();
+
+    expect(await screen.findByRole('link', { name: 'Simon & Garfunkel' })).toBeInTheDocument();
+    expect(screen.getAllByText('Back in Black - AC/DC')).not.toHaveLength(0);
+    expect(screen.getByText('See https://example.com/help (not_found)')).toBeInTheDocument();
+    expect(screen.getByText('Rate limit for Simon & Garfunkel')).toBeInTheDocument();
+    expect(screen.queryByText(/&amp;|&#x2F;/)).not.toBeInTheDocument();
+  });
+
+  test('shows the error together with partial results', async () => {
+    storeValidTokens();
+    server.use(
+      http.get(API_URL('/convert/jobs/:jobId'), () => HttpResponse.json({
+        success: true,
+        data: {
+          status: 'failed',
+          error: 'Spotify rate limit reached',
+          events: [],
+          result: { ...mockResults, tracks_added: 1, api_errors: ['429 Too Many Requests'] },
+        },
+      })),
+    );
+    renderAt('/');
+    await submitConversion();
+
+    expect(await screen.findByText(/Error: Spotify rate limit reached/)).toBeInTheDocument();
+    expect(screen.getByText('Conversion Results')).toBeInTheDocument();
+    expect(screen.getByText('429 Too Many Requests')).toBeInTheDocument();
+  });
+
+  test('retries a failed conversion with the same request', async () => {
+    storeValidTokens();
+    const startedPlaylists = [];
+    let jobChecks = 0;
+    server.use(
+      http.post(API_URL('/convert/jobs'), async ({ request }) => {
+        startedPlaylists.push((await request.json()).playlist_url);
+        return HttpResponse.json({ success: true, data: { job_id: `job-${startedPlaylists.length}` } });
+      }),
+      http.get(API_URL('/convert/jobs/:jobId'), () => {
+        jobChecks += 1;
+        return HttpResponse.json({
+          success: true,
+          data: jobChecks === 1
+            ? { status: 'failed', error: 'Spotify is unavailable', events: [] }
+            : { status: 'completed', events: [], result: mockResults },
+        });
+      }),
+    );
+    renderAt('/');
+    await submitConversion();
+
+    expect(await screen.findByText(/Error: Spotify is unavailable/)).toBeInTheDocument();
+    await userEvent.click(screen.getByRole('button', { name: 'Retry Conversion' }));
+
+    expect(await screen.findByText('Conversion Results')).toBeInTheDocument();
+    expect(startedPlaylists).toEqual([PLAYLIST_URL, PLAYLIST_URL]);
+    expect(screen.queryByRole('button', { name: 'Retry Conversion' })).not.toBeInTheDocument();
+  });
+
+  test('reports a network failure', async () => {
+    storeValidTokens();
+    server.use(
+      http.post(API_URL('/convert/jobs'), () => HttpResponse.error()),
+    );
+    renderAt('/');
+    await submitConversion();
+
+    expect(await screen.findByText(/No response received from server/i)).toBeInTheDocument();
+    expect(screen.queryByText('Conversion Results')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Convert Playlist' })).toBeEnabled();
+  });
+});
+
+describe('matching options', () => {
+  test('sends the chosen options with the conversion and remembers them for the user', async () => {
+    storeValidTokens();
+    let payload = null;
+    server.use(
+      http.post(API_URL('/convert/jobs'), async ({ request }) => {
+        payload = await request.json();
+        return HttpResponse.json({ success: true, data: { job_id: 'job-1' } });
+      }),
+    );
+    renderAt('/');
+    await userEvent.click(await screen.findByText(/Advanced matching options/));
+    await userEvent.selectOptions(screen.getByLabelText(/Market/), 'DE');
+    await userEvent.click(screen.getByLabelText(/Prefer original versions/));
+    await submitConversion();
+
+    await screen.findByText('Conversion Results');
+    expect(payload.matching_options).toMatchObject({ market: 'DE', prefer_original: false, min_confidence: 0.6 });
+    expect(JSON.parse(localStorage.getItem('matching_options:test-user'))).toMatchObject({ market: 'DE', prefer_original: false });
+  });
+
+  test('keeps the duration tolerance when its field is cleared', async () => {
+    storeValidTokens();
+    renderAt('/');
+    await userEvent.click(await screen.findByText(/Advanced matching options/));
+    const input = screen.getByLabelText(/Duration tolerance/);
+
+    await userEvent.clear(input);
+    expect(localStorage.getItem('matching_options:test-user')).toBeNull();
+    await userEvent.type(input, '25');
+    expect(JSON.parse(localStorage.getItem('matching_options:test-user'))).toMatchObject({ duration_tolerance_seconds: 25 });
+  });
+});
+
+describe('playlist details', () => {
+  test('sends description and visibility and lists them with the results', async () => {
+    storeValidTokens();
+    let payload = null;
+    server.use(
+      http.post(API_URL('/convert/jobs'), async ({ request }) => {
+        payload = await request.json();
+        return HttpResponse.json({ success: true, data: { job_id: 'job-1' } });
+      }),
+    );
+    renderAt('/');
+    await userEvent.click(await screen.findByLabelText(/Collaborative/));
+    await submitConversion();
+
+    await screen.findByText('Conversion Results');
+    expect(payload).toMatchObject({ playlist_public: false, playlist_collaborative: true });
+    expect(payload.playlist_description).toContain(`Converted from ${PLAYLIST_URL} on `);
+    expect(payload.playlist_cover).toBeUndefined();
+    expect(screen.getByText('Visibility: Private, collaborative')).toBeInTheDocument();
+    expect(screen.getByText('Cover image: Default')).toBeInTheDocument();
+  });
+});
+
+describe('installed app', () => {
+  test('prefills a playlist shared to the app and strips it from the address', async () => {
+    storeValidTokens();
+    renderAt(`/?shared_text=${encodeURIComponent(`My mix ${PLAYLIST_URL}`)}`);
+
+    const input = await screen.findByLabelText(/YouTube Music Playlist URL/i);
+    await waitFor(() => expect(input).toHaveValue(PLAYLIST_URL));
+    expect(window.location.search).toBe('');
+  });
+
+  test('drops punctuation the sharing app put after the link', async () => {
+    storeValidTokens();
+    renderAt(`/?shared_text=${encodeURIComponent(`Listen to my mix (${PLAYLIST_URL}).`)}`);
+
+    const input = await screen.findByLabelText(/YouTube Music Playlist URL/i);
+    await waitFor(() => expect(input).toHaveValue(PLAYLIST_URL));
+  });
+
+  test('shows saved conversions instead of the form while offline', async () => {
+    storeValidTokens();
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    renderAt('/');
+
+    expect(await screen.findByText(/You're offline/)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Convert Playlist' })).not.toBeInTheDocument();
+  });
+
+  test('keeps the form input while the connection drops', async () => {
+    storeValidTokens();
+    renderAt('/');
+    await userEvent.type(await screen.findByLabelText(/YouTube Music Playlist URL/i), PLAYLIST_URL);
+
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    act(() => window.dispatchEvent(new Event('offline')));
+    expect(await screen.findByText(/You're offline/)).toBeInTheDocument();
+
+    onLine.mockReturnValue(true);
+    act(() => window.dispatchEvent(new Event('online')));
+    expect(screen.queryByText(/You're offline/)).not.toBeInTheDocument();
+    expect(await screen.findByLabelText(/YouTube Music Playlist URL/i)).toHaveValue(PLAYLIST_URL);
+  });
+
+  test('picks up a running conversion again when the connection comes back', async () => {
+    storeValidTokens();
+    let phase = 'running';
+    server.use(
+      http.get(API_URL('/convert/jobs/:jobId'), () => {
+        if (phase === 'offline') return HttpResponse.error();
+        return HttpResponse.json({
+          success: true,
+          data: phase === 'running'
+            ? { status: 'running', total: 3, processed: 1, events: [] }
+            : { status: 'completed', total: 3, processed: 3, events: [], result: mockResults },
+        });
+      }),
+    );
+    renderAt('/');
+    await submitConversion();
+    expect(await screen.findByText('Converting Playlist')).toBeInTheDocument();
+
+    // Polling gives up once its retries fail, the job id stays stored
+    phase = 'offline';
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    act(() => window.dispatchEvent(new Event('offline')));
+    await waitFor(() => expect(screen.queryByText('Converting Playlist')).not.toBeInTheDocument(), { timeout: 10000 });
+    expect(localStorage.getItem('conversion_active_job_id')).toBe('job-1');
+
+    phase = 'completed';
+    onLine.mockReturnValue(true);
+    act(() => window.dispatchEvent(new Event('online')));
+
+    expect(await screen.findByText('Conversion Results')).toBeInTheDocument();
+    expect(localStorage.getItem('conversion_active_job_id')).toBeNull();
+  }, 20000);
+});
+
+describe('synced playlists', () => {
+  test('pairs a converted playlist with its source', async () => {
+    storeValidTokens();
+    let payload = null;
+    server.use(
+      http.post(API_URL('/syncs'), async ({ request }) => {
+        payload = await request.json();
+        return HttpResponse.json({ success: true, data: { id: 'sync-1', ...payload } });
+      }),
+    );
+    renderAt('/');
+    await submitConversion();
+    await userEvent.selectOptions(await screen.findByLabelText('Check for changes:'), 'weekly');
+    await userEvent.click(screen.getByRole('button', { name: 'Keep in Sync' }));
+
+    expect(await screen.findByRole('link', { name: 'View sync' })).toHaveAttribute('href', '/syncs/sync-1');
+    expect(payload).toMatchObject({
+      source: 'youtube',
+      destination: 'spotify',
+      source_url: PLAYLIST_URL,
+      destination_playlist_url: mockResults.spotify_playlist_url,
+      schedule: 'weekly',
+      remove_missing: false,
+    });
+  });
+
+  test('applies only the selected changes from the diff', async () => {
+    storeValidTokens();
+    let applied = null;
+    let diff = {
+      added: [{ id: 'src-1', title: 'New Song', artist: 'Artist A' }, { id: 'src-2', title: 'Other Song', artist: 'Artist B' }],
+      removed: [{ id: 'dst-1', title: 'Old Song', artist: 'Artist C' }],
+    };
+    server.use(
+      http.get(API_URL('/syncs/sync-1'), () => HttpResponse.json({
+        success: true,
+        data: { id: 'sync-1', source: 'youtube', destination: 'spotify', source_url: PLAYLIST_URL, schedule: 'manual', remove_missing: false },
+      })),
+      http.get(API_URL('/syncs/sync-1/diff'), () => HttpResponse.json({ success: true, data: diff })),
+      http.post(API_URL('/syncs/sync-1/apply'), async ({ request }) => {
+        applied = await request.json();
+        diff = { added: [diff.added[1]], removed: diff.removed };
+        return HttpResponse.json({ success: true, data: { tracks_added: 1, tracks_removed: 0 } });
+      }),
+    );
+    renderAt('/syncs/sync-1');
+
+    // Removals are not preselected unless the sync mirrors deletions
+    expect(await screen.findByLabelText('Old Song - Artist C')).not.toBeChecked();
+    await userEvent.click(screen.getByLabelText('Other Song - Artist B'));
+    await userEvent.click(screen.getByRole('button', { name: 'Apply 1 Change' }));
+
+    expect(await screen.findByText(/Added 1 and removed 0 songs/)).toBeInTheDocument();
+    expect(applied).toEqual({ add_track_ids: ['src-1'], remove_track_ids: [] });
+    expect(await screen.findByLabelText('Other Song - Artist B')).toBeChecked();
+  });
+
+  test('asks before it stops syncing', async () => {
+    storeValidTokens();
+    let deleted = false;
+    server.use(
+      http.get(API_URL('/syncs/sync-1'), () => HttpResponse.json({
+        success: true,
+        data: { id: 'sync-1', source: 'youtube', destination: 'spotify', source_url: PLAYLIST_URL, schedule: 'manual', remove_missing: false },
+      })),
+      http.get(API_URL('/syncs/sync-1/diff'), () => HttpResponse.json({ success: true, data: { added: [], removed: [] } })),
+      http.delete(API_URL('/syncs/sync-1'), () => {
+        deleted = true;
+        return HttpResponse.json({ success: true });
+      }),
+      http.get(API_URL('/syncs'), () => HttpResponse.json({ success: true, data: [] })),
+    );
+    renderAt('/syncs/sync-1');
+
+    await userEvent.click(await screen.findByRole('button', { name: 'Stop Syncing' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Keep Syncing' }));
+    expect(deleted).toBe(false);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Stop Syncing' }));
+    expect(screen.getByRole('alert')).toHaveTextContent(/Stop syncing this playlist\?/);
+    await userEvent.click(screen.getByRole('button', { name: 'Yes, Stop Syncing' }));
+    await waitFor(() => expect(window.location.pathname).toBe('/syncs'));
+    expect(deleted).toBe(true);
+  });
+});
+
+describe('languages and accessibility', () => {
+  test('switches the interface language and remembers the choice', async () => {
+    renderAt('/');
+    await userEvent.selectOptions(await screen.findByLabelText('Language:'), 'de');
+
+    expect(await screen.findByRole('button', { name: 'Mit Spotify anmelden' })).toBeInTheDocument();
+    expect(document.documentElement.lang).toBe('de');
+    expect(localStorage.getItem('ui_locale')).toBe('de');
+  });
+
+  test('announces a finished conversion to screen readers', async () => {
+    storeValidTokens();
+    renderAt('/');
+    await submitConversion();
+
+    expect(await screen.findByText('Conversion Results')).toBeInTheDocument();
+    expect(screen.getByText(/^Conversion finished\./)).toHaveAttribute('role', 'status');
+  });
+
+  test('moves through the not-found tracks with the arrow keys', async () => {
+    storeValidTokens();
+    server.use(
+      http.get(API_URL('/convert/jobs/:jobId'), () => HttpResponse.json({
+        success: true,
+        data: {
+          status: 'completed',
+          result: { ...mockResults, not_found_tracks: ['Missing Song - Unknown Artist', 'Lost Song - Nobody'] },
+        },
+      })),
+    );
+    renderAt('/');
+    await submitConversion();
+
+    const heading = await screen.findByRole('heading', { name: /Tracks Not Found on/ });
+    const items = within(heading.parentElement).getAllByRole('listitem');
+    items[0].focus();
+    await userEvent.keyboard('{ArrowDown}');
+
+    expect(items[1]).toHaveFocus();
+    expect(items[1]).toHaveAttribute('tabindex', '0');
+    expect(items[0]).toHaveAttribute('tabindex', '-1');
+  });
+});
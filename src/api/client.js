@@ -0,0 +1,157 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../constants';
+import { PROVIDERS } from '../providers';
+import { isCookieSession } from '../auth/authStorage';
+import {
+  storeTokens,
+  getAccessToken,
+  getRefreshToken,
+  clearTokens,
+  canRefresh,
+  isTokenExpired,
+} from '../auth/tokens';
+
+// --- Axios API Client Setup ---
+export const apiClient = axios.create({
+  baseURL: `${API_BASE_URL}/api`,
+  // Only cookie sessions need credentials; token modes send an Authorization header instead
+  withCredentials: isCookieSession,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Provider logins are full-page redirects through the backend
+export const getLoginUrl = (provider = 'spotify') => `${API_BASE_URL}/api${PROVIDERS[provider].loginPath}`;
+
+// --- Auth Failures ---
+// The client never touches React state. When a 401 survives the refresh attempt it tells its
+// listeners (the AuthProvider) which provider was rejected and leaves the rest to them.
+const authFailureListeners = new Set();
+
+export const onAuthFailure = (listener) => {
+  authFailureListeners.add(listener);
+  return () => authFailureListeners.delete(listener);
+};
+
+const notifyAuthFailure = (provider) => {
+  authFailureListeners.forEach((listener) => listener(provider));
+};
+
+// --- Token Refresh ---
+// Only one refresh request per provider is ever in flight. Requests that need a fresh token
+// while it is running wait on the same promise and continue once it settles.
+const refreshPromises = {};
+
+const refreshAccessToken = (provider = 'spotify') => {
+  if (refreshPromises[provider]) {
+    return refreshPromises[provider];
+  }
+  const refreshToken = getRefreshToken(provider);
+  if (!canRefresh(provider)) {
+    return Promise.reject(new Error('No refresh token available.'));
+  }
+  console.log(`Refreshing ${provider} access token...`);
+  // Plain axios (not apiClient) so the refresh call never goes through our own interceptors.
+  // Cookie sessions send no body: the backend reads the refresh token from the cookie and rotates the session there.
+  refreshPromises[provider] = axios.post(`${API_BASE_URL}/api${PROVIDERS[provider].refreshPath}`, isCookieSession ? {} : { refresh_token: refreshToken }, {
+    headers: { 'Content-Type': 'application/json' },
+    withCredentials: isCookieSession,
+  })
+    .then((response) => {
+      if (isCookieSession) {
+        return null;
+      }
+      const { access_token, refresh_token, expires_in } = response.data || {};
+      if (!access_token || !expires_in) {
+        throw new Error('Refresh response did not include a new access token.');
+      }
+      // Providers do not always rotate the refresh token, keep the current one in that case
+      storeTokens(access_token, refresh_token || refreshToken, expires_in, provider);
+      return access_token;
+    })
+    .catch((err) => {
+      console.error(`${provider} token refresh failed. Clearing tokens.`, err);
+      clearTokens(provider);
+      throw err;
+    })
+    .finally(() => {
+      refreshPromises[provider] = null;
+    });
+  return refreshPromises[provider];
+};
+
+// Returns a usable access token for the provider, refreshing it first if it is about to expire
+const getValidAccessToken = async (provider) => {
+  const token = getAccessToken(provider);
+  if (!token || !isTokenExpired(provider)) {
+    return token;
+  }
+  console.warn(`${provider} token exists but is expired. Attempting refresh before request.`);
+  try {
+    return await refreshAccessToken(provider);
+  } catch (err) {
+    // Refresh failed and tokens are cleared. The request goes out without this token,
+    // the resulting 401 is reported by the response interceptor.
+    return null;
+  }
+};
+
+// Header carrying the YouTube Music token; Authorization stays reserved for the Spotify session
+const YOUTUBE_TOKEN_HEADER = 'X-YouTube-Authorization';
+const PROVIDER_AUTH_HEADERS = {
+  spotify: 'Authorization',
+  youtube: YOUTUBE_TOKEN_HEADER,
+};
+
+// Axios Request Interceptor: Adds the auth headers of every connected provider
+apiClient.interceptors.request.use(
+  async (config) => {
+    const token = await getValidAccessToken('spotify');
+    if (token) {
+      config.headers['Authorization'] = `Bearer ${token}`;
+      console.log("Authorization header added.");
+    } else {
+        console.log("No valid token found. Auth header not added.");
+    }
+    const youtubeToken = await getValidAccessToken('youtube');
+    if (youtubeToken) {
+      config.headers[YOUTUBE_TOKEN_HEADER] = `Bearer ${youtubeToken}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Axios Response Interceptor: On a 401, refresh once and retry the original request.
+// The backend names the provider whose token was rejected; Spotify when it doesn't say.
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+    const provider = PROVIDERS[error.response?.data?.provider] ? error.response.data.provider : 'spotify';
+    if (error.response?.status !== 401 || !originalRequest) {
+      return Promise.reject(error);
+    }
+    if (originalRequest._retry || !canRefresh(provider)) {
+      console.warn(`Received 401 for ${provider} after refresh attempt.`);
+      notifyAuthFailure(provider);
+      return Promise.reject(error);
+    }
+    originalRequest._retry = true;
+    console.warn(`Received 401 for ${provider}. Attempting token refresh and retry.`);
+    try {
+      const token = await refreshAccessToken(provider);
+      if (token) {
+        originalRequest.headers[PROVIDER_AUTH_HEADERS[provider]] = `Bearer ${token}`;
+      }
+      return apiClient(originalRequest);
+    } catch (refreshError) {
+      // Surface the original 401 so the caller sees an auth error
+      notifyAuthFailure(provider);
+      return Promise.reject(error);
+    }
+  }
+);
@@ -0,0 +1,125 @@
+// --- API Errors ---
+// Every failed API call rejects with an ApiError, so callers handle one shape instead of
+// checking for null returns or digging through axios internals.
+
+/**
+ * @typedef {'auth' | 'rate_limited' | 'validation' | 'upstream' | 'http' | 'network' | 'response' | 'unknown'} ApiErrorKind
+ *   auth         - 401 that survived a refresh attempt; `provider` names the rejected connection
+ *   rate_limited - 429; `retryAfterMs` holds the server's Retry-After when it sent one
+ *   validation   - 400/422, the backend rejected the request itself and `message` says why
+ *   upstream     - 502/503/504, Spotify or YouTube Music failed behind the backend; `provider` names it when known
+ *   http         - any other error status from the backend
+ *   network      - the request went out but no response came back
+ *   response     - the backend answered 2xx but reported `success: false`
+ *   unknown      - the request could not be sent at all
+ */
+
+// Failures that may go away by themselves, worth retrying after a pause
+const TRANSIENT_KINDS = ['rate_limited', 'upstream', 'network'];
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message Message that can be shown to the user as-is
+   * @param {{ kind?: ApiErrorKind, status?: number | null, provider?: string | null, retryAfterMs?: number | null, data?: any, messageKey?: string | null, messageParams?: object }} [details]
+   *   `data` carries any partial payload the backend sent along with the error.
+   *   `messageKey` names the catalog message for errors worded by the app itself, the UI shows that
+   *   instead of the English `message`; backend messages have none and are shown as sent.
+   */
+  constructor(message, {
+    kind = 'unknown',
+    status = null,
+    provider = null,
+    retryAfterMs = null,
+    data = null,
+    messageKey = null,
+    messageParams = {},
+  } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.provider = provider;
+    this.retryAfterMs = retryAfterMs;
+    this.data = data;
+    this.messageKey = messageKey;
+    this.messageParams = messageParams;
+  }
+
+  get isTransient() {
+    return TRANSIENT_KINDS.includes(this.kind);
+  }
+}
+
+const AUTH_ERROR_MESSAGES = {
+  spotify: 'Your session has expired or is invalid. Please log in again.',
+  youtube: 'Your YouTube Music connection has expired. Please connect YouTube Music again.',
+};
+
+// The session of `provider` was rejected and could not be refreshed
+export const createAuthError = (provider, status = null) => new ApiError(AUTH_ERROR_MESSAGES[provider], {
+  kind: 'auth',
+  status,
+  provider,
+  messageKey: `errors.auth.${provider}`,
+});
+
+const getStatusKind = (status) => {
+  if (status === 429) return 'rate_limited';
+  if (status === 400 || status === 422) return 'validation';
+  if ([502, 503, 504].includes(status)) return 'upstream';
+  return 'http';
+};
+
+const DEFAULT_STATUS_MESSAGES = {
+  rate_limited: { message: 'Too many requests.', messageKey: 'errors.rateLimited' },
+  upstream: { message: 'The music service did not respond properly.', messageKey: 'errors.upstream' },
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Converts an axios error (or anything else thrown while making a request) into an ApiError
+export const toApiError = (err) => {
+  if (err instanceof ApiError) {
+    return err;
+  }
+  const status = err.response?.status ?? null;
+  const body = err.response?.data;
+  if (status === 401) {
+    // The backend names the provider whose token was rejected; Spotify when it doesn't say
+    const provider = body?.provider === 'youtube' ? 'youtube' : 'spotify';
+    return createAuthError(provider, status);
+  }
+  if (err.response) {
+    const kind = getStatusKind(status);
+    const backendMessage = body?.message || body?.error;
+    const fallback = DEFAULT_STATUS_MESSAGES[kind]
+      || { message: `Request failed with status ${status}`, messageKey: 'errors.httpStatus' };
+    return new ApiError(backendMessage || fallback.message, {
+      kind,
+      status,
+      provider: body?.provider || null,
+      retryAfterMs: kind === 'rate_limited' ? parseRetryAfter(err.response.headers?.['retry-after']) : null,
+      data: body?.data ?? null,
+      messageKey: backendMessage ? null : fallback.messageKey,
+      messageParams: { status },
+    });
+  }
+  if (err.request) {
+    return new ApiError('No response received from server. Check network or server status.', {
+      kind: 'network',
+      messageKey: 'errors.noResponse',
+    });
+  }
+  return err.message
+    ? new ApiError(err.message)
+    : new ApiError('An unexpected error occurred.', { messageKey: 'errors.unexpected' });
+};
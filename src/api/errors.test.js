@@ -0,0 +1,58 @@
+import { ApiError, parseRetryAfter, toApiError } from './errors';
+
+describe('toApiError', () => {
+  test('maps a 401 to an auth error for the rejected provider', () => {
+    const error = toApiError({ response: { status: 401, data: { provider: 'youtube' } } });
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ kind: 'auth', status: 401, provider: 'youtube' });
+    expect(error.message).toMatch(/YouTube Music connection has expired/);
+  });
+
+  test('uses the backend message for other error statuses and keeps partial data', () => {
+    const error = toApiError({ response: { status: 500, data: { error: 'Upstream failed', data: { tracks_added: 1 } } } });
+
+    expect(error).toMatchObject({ kind: 'http', status: 500, message: 'Upstream failed', data: { tracks_added: 1 } });
+  });
+
+  test('reports requests without a response as network errors', () => {
+    const error = toApiError({ request: {}, message: 'Network Error' });
+
+    expect(error.kind).toBe('network');
+    expect(error.message).toMatch(/No response received from server/);
+  });
+
+  test('passes ApiErrors through unchanged', () => {
+    const original = new ApiError('Already mapped', { kind: 'response' });
+
+    expect(toApiError(original)).toBe(original);
+  });
+});
+
+describe('error classification', () => {
+  test('reads Retry-After from rate limited responses', () => {
+    const error = toApiError({ response: { status: 429, headers: { 'retry-after': '12' }, data: {} } });
+
+    expect(error).toMatchObject({ kind: 'rate_limited', retryAfterMs: 12000, isTransient: true });
+  });
+
+  test('marks provider outages as transient upstream errors', () => {
+    const error = toApiError({ response: { status: 503, data: { error: 'Spotify unavailable', provider: 'spotify' } } });
+
+    expect(error).toMatchObject({ kind: 'upstream', provider: 'spotify', message: 'Spotify unavailable', isTransient: true });
+  });
+
+  test('treats rejected input as a validation error that is not retried', () => {
+    const error = toApiError({ response: { status: 422, data: { message: 'Playlist URL is invalid' } } });
+
+    expect(error).toMatchObject({ kind: 'validation', isTransient: false });
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('accepts seconds and HTTP dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50000);
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
@@ -0,0 +1,141 @@
+import { apiClient } from './client';
+import { ApiError, toApiError } from './errors';
+
+// --- Backend API ---
+// One function per endpoint. Each resolves with the response payload or rejects with an ApiError.
+
+export { ApiError, createAuthError } from './errors';
+export { getLoginUrl, onAuthFailure } from './client';
+
+// --- Automatic Retries ---
+// Transient failures (rate limits, upstream outages, network blips) are retried with exponential
+// backoff, or after the server's Retry-After. Longer waits than MAX_RETRY_DELAY_MS go back to the caller.
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getRetryDelay = (error, attempt) => error.retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+
+// Only requests that are safe to send twice are repeated: reads, and anything the server
+// turned away with a 429 (it was never processed)
+const shouldRetry = (config, error, attempt) => (
+  attempt < MAX_ATTEMPTS
+  && error.isTransient
+  && ((config.method || 'GET').toUpperCase() === 'GET' || error.kind === 'rate_limited')
+  && getRetryDelay(error, attempt) <= MAX_RETRY_DELAY_MS
+);
+
+// Sends a request through apiClient and returns the response body as-is
+const request = async (config) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const response = await apiClient(config);
+      return response.data;
+    } catch (err) {
+      const error = toApiError(err);
+      if (!shouldRetry(config, error, attempt)) {
+        console.error('API Error:', err);
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      console.warn(`${error.kind} error for ${config.url}, retrying in ${delay}ms (attempt ${attempt + 1} of ${MAX_ATTEMPTS}).`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Most endpoints wrap their payload as { success, data, error }. Returns `data`, or throws
+// the reported error with any partial `data` attached.
+const requestData = async (config) => {
+  const body = await request(config);
+  if (!body?.success) {
+    throw new ApiError(body?.error || 'The server reported an error.', {
+      kind: 'response',
+      data: body?.data ?? null,
+      messageKey: body?.error ? null : 'errors.serverReported',
+    });
+  }
+  return body.data;
+};
+
+const jobPath = (jobId) => `/convert/jobs/${encodeURIComponent(jobId)}`;
+
+// --- Auth ---
+// { user, youtube_connected? }; user is null for anonymous cookie sessions
+export const getAuthStatus = () => request({ url: '/auth/status' });
+// Only needed for cookie sessions: the backend is the only one who can clear an HttpOnly cookie
+export const logout = () => request({ method: 'POST', url: '/auth/logout' });
+export const disconnectYoutube = () => request({ method: 'POST', url: '/auth/youtube/logout' });
+
+// --- Playlists ---
+// { title, track_count, author, thumbnail_url }
+export const getPlaylistInfo = (playlistUrl, source) => requestData({
+  url: '/playlist/info',
+  params: { playlist_url: playlistUrl, source },
+});
+
+// Playlists of the logged-in Spotify user: [{ id, name, owner_id, collaborative, tracks_total }]
+export const listSpotifyPlaylists = async () => (await requestData({ url: '/spotify/playlists' }))?.playlists || [];
+
+// Destination tracks matching a free-text query, for manual matching
+export const searchTracks = async (query, provider) => (
+  (await request({ url: '/search', params: { q: query, provider } }))?.tracks || []
+);
+
+// --- Conversions ---
+// Proposed matches per source track, for reviewing before the playlist is created
+export const previewConversion = (payload) => requestData({ method: 'POST', url: '/convert/preview', data: payload });
+
+// Starts a conversion job and resolves with its id
+export const startConversionJob = async (payload) => {
+  const data = await requestData({ method: 'POST', url: '/convert/jobs', data: payload });
+  if (!data?.job_id) {
+    throw new ApiError('Conversion job could not be started.', { kind: 'response', messageKey: 'errors.jobNotStarted' });
+  }
+  return data.job_id;
+};
+
+// Job state; with `since`, `events` only holds the log entries after that index
+export const getConversionJob = (jobId, since) => requestData({ url: jobPath(jobId), params: { since } });
+
+export const cancelConversionJob = (jobId) => request({ method: 'POST', url: `${jobPath(jobId)}/cancel` });
+
+// Re-runs matching for not-found tracks and adds new hits to an existing destination playlist
+export const retryUnmatched = (payload) => requestData({ method: 'POST', url: '/convert/retry', data: payload });
+
+// --- History ---
+export const listServerHistory = async () => (await request({ url: '/history' }))?.data || [];
+
+export const deleteServerHistoryEntry = (id) => request({ method: 'DELETE', url: `/history/${encodeURIComponent(id)}` });
+
+// --- Synced Playlists ---
+// A sync pairs a source playlist with the destination playlist it was converted into. The backend
+// stores the pairing and, unless the schedule is 'manual', applies new changes on its own.
+const syncPath = (syncId) => `/syncs/${encodeURIComponent(syncId)}`;
+
+// [{ id, source, destination, source_url, destination_playlist_url, destination_playlist_name, schedule,
+//    remove_missing, last_synced_at, next_sync_at, last_result }]
+export const listSyncs = async () => (await requestData({ url: '/syncs' }))?.syncs || [];
+
+export const getSync = (syncId) => requestData({ url: syncPath(syncId) });
+
+export const createSync = (payload) => requestData({ method: 'POST', url: '/syncs', data: payload });
+
+// Changes schedule or remove_missing
+export const updateSync = (syncId, changes) => requestData({ method: 'PATCH', url: syncPath(syncId), data: changes });
+
+export const deleteSync = (syncId) => request({ method: 'DELETE', url: syncPath(syncId) });
+
+// Tracks in the source but not the destination (`added`) and the other way round (`removed`):
+// { added: [{ id, title, artist }], removed: [{ id, title, artist }], checked_at }
+export const getSyncDiff = (syncId) => requestData({ url: `${syncPath(syncId)}/diff` });
+
+// Adds the chosen source tracks and removes the chosen destination tracks, nothing else:
+// { tracks_added, tracks_removed, not_found_tracks, api_errors, last_synced_at }
+export const applySync = (syncId, { addTrackIds, removeTrackIds }) => requestData({
+  method: 'POST',
+  url: `${syncPath(syncId)}/apply`,
+  data: { add_track_ids: addTrackIds, remove_track_ids: removeTrackIds },
+});
@@ -0,0 +1,57 @@
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server';
+import { API_URL } from '../mocks/handlers';
+import { getPlaylistInfo, startConversionJob } from '.';
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('automatic retries', () => {
+  test('repeats a rate limited request after Retry-After', async () => {
+    let calls = 0;
+    server.use(
+      http.get(API_URL('/playlist/info'), () => {
+        calls += 1;
+        return calls === 1
+          ? HttpResponse.json({ error: 'Slow down' }, { status: 429, headers: { 'Retry-After': '0' } })
+          : HttpResponse.json({ success: true, data: { title: 'Source Playlist' } });
+      }),
+    );
+
+    await expect(getPlaylistInfo('https://music.youtube.com/playlist?list=PLtest', 'youtube')).resolves.toEqual({ title: 'Source Playlist' });
+    expect(calls).toBe(2);
+  });
+
+  test('does not repeat a POST that may have reached the server', async () => {
+    let calls = 0;
+    server.use(
+      http.post(API_URL('/convert/jobs'), () => {
+        calls += 1;
+        return HttpResponse.json({ error: 'Bad gateway' }, { status: 502 });
+      }),
+    );
+
+    await expect(startConversionJob({ playlist_url: 'x' })).rejects.toMatchObject({ kind: 'upstream' });
+    expect(calls).toBe(1);
+  });
+
+  test('gives up on waits longer than it is willing to sleep', async () => {
+    let calls = 0;
+    server.use(
+      http.get(API_URL('/playlist/info'), () => {
+        calls += 1;
+        return HttpResponse.json({ error: 'Slow down' }, { status: 429, headers: { 'Retry-After': '120' } });
+      }),
+    );
+
+    await expect(getPlaylistInfo('x', 'youtube')).rejects.toMatchObject({ kind: 'rate_limited', retryAfterMs: 120000 });
+    expect(calls).toBe(1);
+  });
+});
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useI18n } from '../i18n/I18nContext';
+import { isCookieSession, broadcastAuthChange } from './authStorage';
+import { storeTokens, clearTokens } from './tokens';
+
+// OAuth error codes with their own explanation in the catalog, anything else is shown by its code
+const KNOWN_ERROR_CODES = ['access_denied', 'invalid_request', 'invalid_state', 'server_error', 'temporarily_unavailable'];
+
+// Component to handle the redirect from Spotify (or YouTube Music) with tokens in hash
+export default function AuthCallback({ provider = 'spotify' }) {
+    const navigate = useNavigate();
+    const location = useLocation(); // Use useLocation to get the hash
+    const [authError, setAuthError] = useState(null);
+    const { t } = useI18n();
+
+    useEffect(() => {
+        console.log("AuthCallback mounted.");
+        // Use URLSearchParams on the hash part (removing the leading '#')
+        const params = new URLSearchParams(location.hash.substring(1));
+        const accessToken = params.get('access_token');
+        const refreshToken = params.get('refresh_token');
+        const expiresIn = params.get('expires_in');
+        const error = params.get('error');
+        // Drop the tokens from the address bar (and so from history and screenshots) right after reading them
+        window.history.replaceState(window.history.state, document.title, window.location.pathname + window.location.search);
+
+        if (error) {
+            console.error("Authentication error from callback:", error);
+            const reason = KNOWN_ERROR_CODES.includes(error)
+                ? t(`auth.reasons.${error}`)
+                : t('auth.reasons.unknown', { code: error });
+            const message = t('auth.loginFailed', { reason });
+            setAuthError(message);
+            // Optionally clear any potentially stale tokens if error occurs
+            clearTokens(provider);
+            // Navigate to home, potentially passing error state
+            navigate('/', { state: { authError: message } });
+        } else if (accessToken && expiresIn) {
+            console.log(`${provider} tokens received from hash.`);
+            storeTokens(accessToken, refreshToken, expiresIn, provider);
+            // Successfully stored tokens, navigate to the main app page
+            navigate('/');
+        } else if (isCookieSession) {
+            // The backend already set the session cookie, there are no tokens to read
+            console.log(`${provider} cookie session established.`);
+            broadcastAuthChange({ type: 'login', provider });
+            navigate('/');
+        } else {
+            console.warn("No tokens or error found in callback hash.");
+            setAuthError(t('auth.invalidCallback'));
+            // Navigate home even if hash is unexpected
+             navigate('/', { state: { authError: t('auth.invalidCallback') } });
+        }
+        // Run only once on mount
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [navigate, location.hash, provider]); // Depend on location.hash
+
+    // Display a simple loading/processing message or error
+    return (
+        <div className="App">
+             <header className="App-header">
+                 <h1>{t('auth.title')}</h1>
+             </header>
+             <main>
+                {authError && <p className="error-message" role="alert">{t('errors.banner', { message: authError })}</p>}
+                <p role="status">{t('auth.wait')}</p>
+             </main>
+        </div>
+    );
+}
+
@@ -0,0 +1,183 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import * as api from '../api';
+import { isCookieSession, broadcastAuthChange, subscribeToAuthChanges } from './authStorage';
+import {
+  TOKEN_KEYS,
+  getAccessToken,
+  getRefreshToken,
+  getExpiryTimestamp,
+  clearTokens,
+  hasTokens,
+  isTokenExpired,
+} from './tokens';
+
+// --- Auth Context ---
+// Owns the login state of the Spotify session and the optional YouTube Music connection.
+// Components read it with useAuth(); API calls report rejected sessions through api.onAuthFailure.
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }) {
+    const [isLoggedIn, setIsLoggedIn] = useState(false);
+    const [userData, setUserData] = useState(null);
+    // True until the first auth check has finished
+    const [isAuthLoading, setIsAuthLoading] = useState(true);
+    const [isYoutubeConnected, setIsYoutubeConnected] = useState(() => hasTokens('youtube'));
+    // Why the session ended (an ApiError), shown until the next auth check
+    const [authError, setAuthError] = useState(null);
+    const isLoggedInRef = useRef(false);
+    // Called on explicit logouts (here or in another tab), so features can drop their per-user state
+    const logoutListenersRef = useRef(new Set());
+
+    useEffect(() => {
+        isLoggedInRef.current = isLoggedIn;
+    }, [isLoggedIn]);
+
+    const checkAuthStatus = useCallback(async () => {
+        setIsAuthLoading(true);
+        setAuthError(null);
+
+        const token = getAccessToken();
+
+        // An expired token is still usable if we hold a refresh token: the interceptor refreshes it.
+        // Cookie sessions have no client-side token, only the backend can tell whether we're logged in.
+        if (!isCookieSession && (!token || (isTokenExpired() && !getRefreshToken()))) {
+             console.log("No token found or token expired without refresh token. Clearing any remnants.");
+             if(token && isTokenExpired()){
+                console.log("Token expired at:", new Date(getExpiryTimestamp()).toLocaleString());
+             }
+             clearTokens();
+             setIsLoggedIn(false);
+             setUserData(null);
+             setIsAuthLoading(false);
+             return;
+        }
+
+        console.log("Checking status with /api/auth/status...");
+        try {
+            const data = await api.getAuthStatus(); // Interceptor adds token
+            if (data && data.user) { // Backend should return user data if token is valid
+                console.log("User logged in:", data.user);
+                setIsLoggedIn(true);
+                setUserData(data.user);
+                // Cookie sessions hold no YouTube Music token on our side, the backend reports the connection
+                setIsYoutubeConnected(isCookieSession ? Boolean(data.youtube_connected) : hasTokens('youtube'));
+            } else if (isCookieSession) {
+                // Anonymous visitors get { user: null } in cookie mode
+                setIsLoggedIn(false);
+                setUserData(null);
+            } else {
+                 // This case might indicate a backend issue if status wasn't 401 but no user data came back
+                console.warn("/auth/status check returned OK but no user data. Assuming logged out.");
+                clearTokens(); // Treat as invalid session
+                setIsLoggedIn(false);
+                setUserData(null);
+            }
+        } catch (err) {
+            // A rejected session was already handled through onAuthFailure
+            console.error("Error during checkAuthStatus:", err);
+            if (err.kind !== 'auth') {
+                setAuthError(err);
+            }
+            setIsLoggedIn(false);
+            setUserData(null);
+        }
+        setIsAuthLoading(false);
+    }, []);
+
+    // A 401 that survived the refresh attempt: drop the rejected connection
+    useEffect(() => api.onAuthFailure((provider) => {
+        if (provider === 'youtube') {
+            // Only the YouTube Music connection is gone, the Spotify session is still fine
+            console.warn("YouTube Music token rejected. Disconnecting YouTube Music.");
+            clearTokens('youtube');
+            setIsYoutubeConnected(false);
+            setAuthError(api.createAuthError('youtube'));
+        } else {
+            console.warn("Session rejected. Clearing tokens and logging out.");
+            clearTokens();
+            setIsLoggedIn(false);
+            setUserData(null);
+            setAuthError(api.createAuthError('spotify'));
+        }
+    }), []);
+
+    // Resets everything tied to the session; shared by our own logout and one made in another tab
+    const resetSession = useCallback(() => {
+        clearTokens();
+        clearTokens('youtube');
+        setIsYoutubeConnected(false);
+        setIsLoggedIn(false);
+        setUserData(null);
+        setAuthError(null);
+        logoutListenersRef.current.forEach((listener) => listener());
+    }, []);
+
+    const login = useCallback(() => {
+        window.location.href = api.getLoginUrl('spotify');
+    }, []);
+
+    const connectYoutube = useCallback(() => {
+        window.location.href = api.getLoginUrl('youtube');
+    }, []);
+
+    const logout = useCallback(() => {
+        console.log("Handling logout: Clearing tokens and updating state.");
+        if (isCookieSession) {
+            api.logout().catch((err) => console.error("Backend logout failed:", err));
+        }
+        broadcastAuthChange({ type: 'logout', provider: 'spotify' });
+        resetSession();
+    }, [resetSession]);
+
+    const disconnectYoutube = useCallback(() => {
+        if (isCookieSession) {
+            api.disconnectYoutube().catch((err) => console.error("YouTube Music disconnect failed:", err));
+        }
+        clearTokens('youtube');
+        broadcastAuthChange({ type: 'logout', provider: 'youtube' });
+        setIsYoutubeConnected(false);
+    }, []);
+
+    const onLogout = useCallback((listener) => {
+        logoutListenersRef.current.add(listener);
+        return () => logoutListenersRef.current.delete(listener);
+    }, []);
+
+    // Follow logins and logouts made in other tabs
+    useEffect(() => subscribeToAuthChanges((message) => {
+        if (!message || !message.type || message.type === 'request-tokens') return;
+        if (message.provider === 'youtube') {
+            setIsYoutubeConnected(message.type === 'login');
+        } else if (message.type === 'logout') {
+            console.log("Logged out in another tab.");
+            resetSession();
+        } else if (!isLoggedInRef.current) {
+            // Token refreshes in other tabs also arrive as 'login', only a logged-out tab needs to react
+            checkAuthStatus();
+        }
+    }, TOKEN_KEYS), [checkAuthStatus, resetSession]);
+
+    const value = useMemo(() => ({
+        isLoggedIn,
+        userData,
+        isAuthLoading,
+        isYoutubeConnected,
+        authError,
+        checkAuthStatus,
+        login,
+        connectYoutube,
+        logout,
+        disconnectYoutube,
+        onLogout,
+    }), [isLoggedIn, userData, isAuthLoading, isYoutubeConnected, authError, checkAuthStatus, login, connectYoutube, logout, disconnectYoutube, onLogout]);
+
+    return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export const useAuth = () => {
+    const context = useContext(AuthContext);
+    if (!context) {
+        throw new Error('useAuth must be used inside an AuthProvider.');
+    }
+    return context;
+};
@@ -0,0 +1,78 @@
+// --- Auth Storage ---
+// Where the app keeps provider tokens, selected with VITE_AUTH_STORAGE:
+//   'local'  - localStorage. Survives reloads but any injected script can read the tokens.
+//   'memory' - a plain in-memory map. Tokens are gone on reload; open tabs share them over BroadcastChannel.
+//              Full-page redirects (like connecting YouTube Music) need a fresh login unless another tab is open.
+//   'cookie' - no tokens in the browser at all. The backend keeps the session in an HttpOnly cookie,
+//              so requests are sent with credentials and the token helpers below always come back empty.
+// 'local' stays the default so existing deployments keep working; 'cookie' is the recommended production mode.
+const AUTH_STORAGE_MODES = ['local', 'memory', 'cookie'];
+
+export const AUTH_STORAGE_MODE = AUTH_STORAGE_MODES.includes(import.meta.env.VITE_AUTH_STORAGE)
+  ? import.meta.env.VITE_AUTH_STORAGE
+  : 'local';
+
+export const isCookieSession = AUTH_STORAGE_MODE === 'cookie';
+
+const createLocalStore = () => ({
+  get: (key) => localStorage.getItem(key),
+  set: (key, value) => localStorage.setItem(key, value),
+  remove: (key) => localStorage.removeItem(key),
+});
+
+const createMemoryStore = () => {
+  const values = new Map();
+  return {
+    get: (key) => (values.has(key) ? values.get(key) : null),
+    set: (key, value) => values.set(key, String(value)),
+    remove: (key) => values.delete(key),
+  };
+};
+
+// Cookie sessions have nothing to store client-side
+const createNoopStore = () => ({
+  get: () => null,
+  set: () => {},
+  remove: () => {},
+});
+
+const createStore = () => {
+  if (AUTH_STORAGE_MODE === 'local') return createLocalStore();
+  if (AUTH_STORAGE_MODE === 'memory') return createMemoryStore();
+  return createNoopStore();
+};
+
+export const tokenStore = createStore();
+
+// --- Multi-Tab Synchronization ---
+// Messages: { type: 'login' | 'logout', provider, tokens? } and { type: 'request-tokens' }.
+// Tokens are only sent along in memory mode, where the other tabs have no other way to get them.
+const AUTH_CHANNEL_NAME = 'playlist-converter-auth';
+
+const authChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(AUTH_CHANNEL_NAME) : null;
+
+export const shouldShareTokens = AUTH_STORAGE_MODE === 'memory';
+
+export const broadcastAuthChange = (message) => {
+  authChannel?.postMessage(message);
+};
+
+// Calls `callback(message)` for auth changes made in other tabs. localStorage mode also listens to
+// storage events, which covers browsers without BroadcastChannel. Returns an unsubscribe function.
+export const subscribeToAuthChanges = (callback, tokenKeysByProvider) => {
+  const handleMessage = (event) => callback(event.data);
+  const handleStorage = (event) => {
+    const provider = Object.keys(tokenKeysByProvider).find((key) => tokenKeysByProvider[key].access === event.key);
+    if (!provider) return;
+    callback({ type: event.newValue ? 'login' : 'logout', provider });
+  };
+
+  authChannel?.addEventListener('message', handleMessage);
+  if (AUTH_STORAGE_MODE === 'local' && !authChannel) {
+    window.addEventListener('storage', handleStorage);
+  }
+  return () => {
+    authChannel?.removeEventListener('message', handleMessage);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
@@ -0,0 +1,110 @@
+import {
+  isCookieSession,
+  tokenStore,
+  shouldShareTokens,
+  broadcastAuthChange,
+  subscribeToAuthChanges,
+} from './authStorage';
+
+// --- Token Storage ---
+// Tokens go through tokenStore (see authStorage.js): localStorage, memory, or nothing at all when the
+// backend keeps the session in an HttpOnly cookie. localStorage is readable by any injected script,
+// prefer VITE_AUTH_STORAGE=cookie in production.
+// Tokens are kept per provider. Spotify is the account the user logs in with; a YouTube Music
+// connection is only needed to create playlists there (Spotify -> YouTube Music conversions).
+export const TOKEN_KEYS = {
+  spotify: {
+    access: 'spotify_access_token',
+    refresh: 'spotify_refresh_token',
+    expiry: 'spotify_expiry_timestamp',
+  },
+  youtube: {
+    access: 'youtube_access_token',
+    refresh: 'youtube_refresh_token',
+    expiry: 'youtube_expiry_timestamp',
+  },
+};
+
+// Writes tokens without telling other tabs; used directly when applying tokens another tab sent us
+const writeTokens = (provider, accessToken, refreshToken, expiryTimestamp) => {
+  const keys = TOKEN_KEYS[provider];
+  tokenStore.set(keys.access, accessToken);
+  if (refreshToken) {
+    tokenStore.set(keys.refresh, refreshToken);
+  } else {
+     tokenStore.remove(keys.refresh); // Ensure old one is removed if not provided
+  }
+  tokenStore.set(keys.expiry, expiryTimestamp.toString());
+};
+
+export const storeTokens = (accessToken, refreshToken, expiresIn, provider = 'spotify') => {
+  if (!accessToken || !expiresIn) {
+    console.error("Cannot store tokens: Access token or expires_in missing.");
+    return;
+  }
+  // Calculate expiry time (expiresIn is in seconds)
+  const expiryTimestamp = Date.now() + (parseInt(expiresIn, 10) * 1000);
+  writeTokens(provider, accessToken, refreshToken, expiryTimestamp);
+  console.log(`${provider} tokens stored. Expiry:`, new Date(expiryTimestamp).toLocaleString());
+  broadcastAuthChange({
+    type: 'login',
+    provider,
+    tokens: shouldShareTokens ? { accessToken, refreshToken, expiryTimestamp } : undefined,
+  });
+};
+
+export const getAccessToken = (provider = 'spotify') => tokenStore.get(TOKEN_KEYS[provider].access);
+export const getRefreshToken = (provider = 'spotify') => tokenStore.get(TOKEN_KEYS[provider].refresh);
+export const getExpiryTimestamp = (provider = 'spotify') => {
+  const timestamp = tokenStore.get(TOKEN_KEYS[provider].expiry);
+  return timestamp ? parseInt(timestamp, 10) : null;
+};
+
+// Local only: other tabs are told about a logout explicitly (see AuthProvider), not about every cleanup
+export const clearTokens = (provider = 'spotify') => {
+  const keys = TOKEN_KEYS[provider];
+  tokenStore.remove(keys.access);
+  tokenStore.remove(keys.refresh);
+  tokenStore.remove(keys.expiry);
+  console.log(`${provider} tokens cleared.`);
+};
+
+// Whether a connection to the provider is stored, usable right away or after a refresh
+export const hasTokens = (provider = 'spotify') => Boolean(getAccessToken(provider) || getRefreshToken(provider));
+
+// Cookie sessions can always attempt a refresh, the refresh token lives in the cookie
+export const canRefresh = (provider = 'spotify') => isCookieSession || Boolean(getRefreshToken(provider));
+
+// Check if token is expired or close to expiring (e.g., within 60 seconds)
+export const isTokenExpired = (provider = 'spotify') => {
+    const expiry = getExpiryTimestamp(provider);
+    if (!expiry) return true; // No expiry means we treat it as expired/invalid
+    // Check if expiry is in the past or within the next 60 seconds
+    return Date.now() >= expiry - (60 * 1000);
+};
+
+// In memory mode a new tab starts empty: apply tokens sent by other tabs and hand ours to tabs that ask
+subscribeToAuthChanges((message) => {
+  if (!shouldShareTokens || !message) return;
+  if (message.type === 'login' && message.tokens) {
+    const { accessToken, refreshToken, expiryTimestamp } = message.tokens;
+    writeTokens(message.provider, accessToken, refreshToken, expiryTimestamp);
+  } else if (message.type === 'logout') {
+    clearTokens(message.provider);
+  } else if (message.type === 'request-tokens') {
+    Object.keys(TOKEN_KEYS).forEach((provider) => {
+      const accessToken = getAccessToken(provider);
+      if (accessToken) {
+        broadcastAuthChange({
+          type: 'login',
+          provider,
+          tokens: { accessToken, refreshToken: getRefreshToken(provider), expiryTimestamp: getExpiryTimestamp(provider) },
+        });
+      }
+    });
+  }
+}, TOKEN_KEYS);
+
+if (shouldShareTokens) {
+  broadcastAuthChange({ type: 'request-tokens' });
+}
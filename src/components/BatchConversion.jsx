@@ -0,0 +1,329 @@
+import React, { useState, useRef } from 'react';
+import * as api from '../api';
+import { useAuth } from '../auth/AuthContext';
+import { JOB_POLL_INTERVAL_MS, TERMINAL_JOB_STATUSES } from '../constants';
+import { buildConversionRecord, saveConversion } from '../historyStore';
+import { useI18n } from '../i18n/I18nContext';
+import { useMatchingOptions } from '../matchingOptions';
+import { normalizeResults } from '../providers';
+import MatchingOptionsPanel from './MatchingOptionsPanel';
+
+// --- Batch Conversion ---
+const MAX_BATCH_CONCURRENCY = 5;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once the browser reports a network connection again, or right away when the batch is stopped
+const waitForConnection = (signal) => new Promise((resolve) => {
+    if (navigator.onLine !== false || signal.aborted) {
+        resolve();
+        return;
+    }
+    const done = () => {
+        window.removeEventListener('online', done);
+        signal.removeEventListener('abort', done);
+        resolve();
+    };
+    window.addEventListener('online', done);
+    signal.addEventListener('abort', done);
+});
+
+// Fills {title}, {index} and {date} placeholders of a playlist name template
+const applyNameTemplate = (template, { title, index, date }) => (
+    template
+        .replace(/\{title\}/g, title)
+        .replace(/\{index\}/g, String(index))
+        .replace(/\{date\}/g, date)
+        .trim()
+);
+
+// One-URL-per-line list, blank lines and duplicates dropped
+const parseBatchUrls = (text) => [...new Set(text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean))];
+
+// Converts many playlists through a queue of conversion jobs with limited concurrency.
+// Item errors are validation localizedMessages, backend messages or ApiErrors.
+export default function BatchConversion({ isLoggedIn, direction, onRunningChange }) {
+    const { t, formatMessage, formatDate } = useI18n();
+    const [urlsText, setUrlsText] = useState('');
+    const [nameTemplate, setNameTemplate] = useState(() => t('batch.defaultNameTemplate'));
+    const [concurrency, setConcurrency] = useState(2);
+    const { userData } = useAuth();
+    const [matchingOptions, setMatchingOptions] = useMatchingOptions(userData?.id);
+    const [items, setItems] = useState([]);
+    const [isRunning, setIsRunning] = useState(false);
+    const [isStopping, setIsStopping] = useState(false);
+    // Aborted by Stop, ends waits for the connection and keeps queued playlists from starting
+    const stopControllerRef = useRef(null);
+    // Job ids of items currently converting, so a stop can cancel them
+    const runningJobsRef = useRef(new Map());
+
+    const updateItem = (id, patch) => {
+        setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+    };
+
+    const handleFileUpload = async (event) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        const text = await file.text();
+        setUrlsText((prev) => (prev.trim() ? `${prev.trim()}\n${text}` : text));
+        event.target.value = '';
+    };
+
+    const parsedUrls = parseBatchUrls(urlsText);
+    const validateUrl = direction.source.validateUrl;
+    const invalidCount = parsedUrls.filter((url) => validateUrl(url)).length;
+
+    // Runs one playlist from metadata lookup to finished job, reporting into its row
+    const runItem = async (item, signal) => {
+        try {
+            updateItem(item.id, { status: 'preparing' });
+            let title = t('batch.fallbackTitle', { index: item.index });
+            try {
+                const info = await api.getPlaylistInfo(item.url, direction.source.id);
+                title = info?.title || title;
+            } catch (err) {
+                // Naming falls back to the index, the conversion itself will report real problems
+                console.warn("Could not fetch playlist details for", item.url, err);
+            }
+            const playlistName = applyNameTemplate(nameTemplate || t('batch.defaultNameTemplate'), {
+                title,
+                index: item.index,
+                date: formatDate(new Date(), { dateStyle: 'medium' }),
+            });
+            updateItem(item.id, { status: 'converting', playlistName });
+
+            const startedAt = Date.now();
+            const jobId = await api.startConversionJob({
+                playlist_url: item.url,
+                playlist_name: playlistName,
+                source: direction.source.id,
+                destination: direction.destination.id,
+                matching_options: matchingOptions,
+            });
+            runningJobsRef.current.set(item.id, jobId);
+
+            let jobState;
+            do {
+                await sleep(JOB_POLL_INTERVAL_MS);
+                // The job keeps running on the server while offline, polling resumes with the connection
+                await waitForConnection(signal);
+                if (signal.aborted && navigator.onLine === false) {
+                    // The cancel request could not reach the server, stop following the job
+                    runningJobsRef.current.delete(item.id);
+                    updateItem(item.id, { status: 'cancelled' });
+                    return;
+                }
+                jobState = await api.getConversionJob(jobId);
+                updateItem(item.id, { progress: { processed: jobState.processed || 0, total: jobState.total || 0 } });
+            } while (!TERMINAL_JOB_STATUSES.includes(jobState.status));
+            runningJobsRef.current.delete(item.id);
+
+            const error = jobState.status === 'completed' ? null : (jobState.error || jobState.status);
+            // Record the requested direction and playlist unless the backend reports what it actually used
+            const results = jobState.result
+                ? { source: direction.source.id, destination: direction.destination.id, source_url: item.url, ...jobState.result }
+                : null;
+            updateItem(item.id, {
+                status: jobState.status === 'completed' ? 'completed' : (jobState.status === 'cancelled' ? 'cancelled' : 'failed'),
+                results: normalizeResults(results) || null,
+                error,
+            });
+            if (results) {
+                saveConversion(buildConversionRecord({
+                    sourceUrl: item.url,
+                    playlistName,
+                    results,
+                    error,
+                    durationMs: Date.now() - startedAt,
+                }))
+                    .catch((err) => console.error("Failed to save batch conversion to history:", err));
+            }
+        } catch (err) {
+            console.error("Batch item failed:", item.url, err);
+            runningJobsRef.current.delete(item.id);
+            updateItem(item.id, { status: 'failed', error: err });
+        }
+    };
+
+    const handleStart = async (event) => {
+        event.preventDefault();
+        const batchItems = parsedUrls.map((url, i) => {
+            const validationError = validateUrl(url);
+            return {
+                id: `${i}-${url}`,
+                index: i + 1,
+                url: validationError ? url : direction.source.normalizeUrl(url),
+                status: validationError ? 'invalid' : 'pending',
+                error: validationError,
+                playlistName: null,
+                progress: null,
+                results: null,
+            };
+        });
+        setItems(batchItems);
+        stopControllerRef.current = new AbortController();
+        const { signal } = stopControllerRef.current;
+        setIsRunning(true);
+        onRunningChange?.(true);
+
+        const queue = batchItems.filter((item) => item.status === 'pending');
+        const worker = async () => {
+            while (queue.length > 0 && !signal.aborted) {
+                // Queued playlists wait for the connection instead of failing one after another
+                await waitForConnection(signal);
+                if (signal.aborted || queue.length === 0) break;
+                await runItem(queue.shift(), signal);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+        // Anything still queued after a stop never started
+        queue.forEach((item) => updateItem(item.id, { status: 'cancelled' }));
+        setIsRunning(false);
+        setIsStopping(false);
+        onRunningChange?.(false);
+    };
+
+    const handleStop = () => {
+        stopControllerRef.current?.abort();
+        setIsStopping(true);
+        runningJobsRef.current.forEach((jobId) => {
+            api.cancelConversionJob(jobId)
+                .catch((err) => console.error("Failed to cancel batch job:", jobId, err));
+        });
+    };
+
+    const finished = items.filter((item) => item.status === 'completed' || item.status === 'failed' || item.status === 'cancelled' || item.status === 'invalid');
+    const summary = items.reduce((totals, item) => ({
+        completed: totals.completed + (item.status === 'completed' ? 1 : 0),
+        failed: totals.failed + (['failed', 'invalid'].includes(item.status) ? 1 : 0),
+        tracks: totals.tracks + (item.results?.total_source_tracks || 0),
+        found: totals.found + (item.results?.found_destination_tracks || 0),
+        added: totals.added + (item.results?.tracks_added || 0),
+    }), { completed: 0, failed: 0, tracks: 0, found: 0, added: 0 });
+
+    return (
+        <div className="batch-section">
+            <form onSubmit={handleStart} className={`conversion-form ${!isLoggedIn ? 'disabled' : ''}`}>
+                <div className="form-group">
+                    <label htmlFor="batch_urls">{t('batch.urlsLabel', { source: direction.source.label })}</label>
+                    <textarea
+                        id="batch_urls"
+                        rows={6}
+                        value={urlsText}
+                        onChange={(e) => setUrlsText(e.target.value)}
+                        placeholder={`${direction.source.urlPlaceholder}\n${direction.source.urlPlaceholder}`}
+                        disabled={!isLoggedIn || isRunning}
+                    />
+                    <small>
+                        {t('batch.playlistCount', { count: parsedUrls.length })}
+                        {invalidCount > 0 ? `, ${t('batch.invalidCount', { count: invalidCount })}` : ''}.
+                        {' '}{t('batch.loadFile')}{' '}
+                        <input
+                            type="file"
+                            accept=".txt,text/plain"
+                            onChange={handleFileUpload}
+                            disabled={!isLoggedIn || isRunning}
+                            aria-label={t('batch.loadFileLabel')}
+                        />
+                    </small>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="batch_name_template">{t('batch.templateLabel')}</label>
+                    <input
+                        type="text"
+                        id="batch_name_template"
+                        value={nameTemplate}
+                        onChange={(e) => setNameTemplate(e.target.value)}
+                        disabled={!isLoggedIn || isRunning}
+                    />
+                    <small>{t('batch.templateHelp')}</small>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="batch_concurrency">{t('batch.concurrencyLabel')}</label>
+                    <select
+                        id="batch_concurrency"
+                        value={concurrency}
+                        onChange={(e) => setConcurrency(parseInt(e.target.value, 10))}
+                        disabled={!isLoggedIn || isRunning}
+                    >
+                        {Array.from({ length: MAX_BATCH_CONCURRENCY }, (_, i) => i + 1).map((value) => (
+                            <option key={value} value={value}>{value}</option>
+                        ))}
+                    </select>
+                </div>
+                <MatchingOptionsPanel
+                    options={matchingOptions}
+                    onChange={setMatchingOptions}
+                    disabled={!isLoggedIn || isRunning}
+                />
+                {isRunning ? (
+                    <button type="button" onClick={handleStop} disabled={isStopping}>
+                        {isStopping ? t('batch.stopping') : t('batch.stop')}
+                    </button>
+                ) : (
+                    <button type="submit" disabled={!isLoggedIn || parsedUrls.length === invalidCount}>
+                        {t('batch.convert', { count: parsedUrls.length - invalidCount })}
+                    </button>
+                )}
+            </form>
+
+            {items.length > 0 && (
+                <div className="results-section">
+                    <h2>{t('batch.statusTitle')}</h2>
+                    <div className="result-summary" role="status">
+                        <p>
+                            {t('batch.finished', {
+                                finished: finished.length,
+                                total: items.length,
+                                completed: summary.completed,
+                                failed: summary.failed,
+                            })}
+                        </p>
+                        <p>
+                            {t('batch.trackTotals', {
+                                tracks: summary.tracks,
+                                found: summary.found,
+                                destination: direction.destination.label,
+                                added: summary.added,
+                            })}
+                        </p>
+                    </div>
+                    <table className="batch-table">
+                        <thead>
+                            <tr>
+                                <th>{t('batch.sourceColumn')}</th>
+                                <th>{t('batch.playlistColumn', { destination: direction.destination.label })}</th>
+                                <th>{t('batch.statusColumn')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {items.map((item) => (
+                                <tr key={item.id} className={`batch-${item.status}`}>
+                                    <td className="batch-url">{item.url}</td>
+                                    <td>
+                                        {item.results?.destination_playlist_url ? (
+                                            <a href={item.results.destination_playlist_url} target="_blank" rel="noopener noreferrer">
+                                                {item.results.destination_playlist_name || item.playlistName}
+                                            </a>
+                                        ) : (item.playlistName || '-')}
+                                    </td>
+                                    <td>
+                                        {t(`batch.status.${item.status}`)}
+                                        {item.status === 'converting' && item.progress?.total > 0 && (
+                                            ` ${t('batch.progress', { processed: item.progress.processed, total: item.progress.total })}`
+                                        )}
+                                        {item.status === 'completed' && item.results && (
+                                            ` ${t('batch.added', { added: item.results.tracks_added ?? 0, total: item.results.total_source_tracks ?? 0 })}`
+                                        )}
+                                        {item.error && <div className="batch-error">{formatMessage(item.error)}</div>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { buildConversionAnalytics } from '../conversionAnalytics';
+import { listConversions } from '../historyStore';
+import { useI18n } from '../i18n/I18nContext';
+import { localizedMessage } from '../i18n/translate';
+import ErrorMessage from './ErrorMessage';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Ranked list of failures with how often each occurred; `countKey` words the count
+function RankingList({ title, emptyText, entries, countKey }) {
+    const { t, formatMessage } = useI18n();
+    return (
+        <section className="analytics-section">
+            <h3>{title}</h3>
+            {entries.length === 0 ? (
+                <p>{emptyText}</p>
+            ) : (
+                <ol className="analytics-ranking">
+                    {entries.map((entry, index) => (
+                        <li key={index}>
+                            <span>{formatMessage(entry.label)}</span>
+                            <small>{t(countKey, { count: entry.count })}</small>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </section>
+    );
+}
+
+// Dashboard over the local conversion history: match rate over time, common failures and durations
+export default function ConversionAnalytics() {
+    const { t, formatNumber, formatDate } = useI18n();
+    const [analytics, setAnalytics] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        listConversions()
+            .then((records) => setAnalytics(buildConversionAnalytics(records)))
+            .catch((err) => {
+                console.error("Failed to load conversion history for analytics:", err);
+                setError(localizedMessage('analytics.loadFailed'));
+            });
+    }, []);
+
+    const formatPercent = (rate) => formatNumber(rate, { style: 'percent', maximumFractionDigits: 0 });
+    // Minutes with one decimal for long conversions, whole seconds otherwise
+    const formatDuration = (ms) => (ms >= MS_PER_MINUTE
+        ? formatNumber(ms / MS_PER_MINUTE, { style: 'unit', unit: 'minute', unitDisplay: 'long', maximumFractionDigits: 1 })
+        : formatNumber(ms / 1000, { style: 'unit', unit: 'second', unitDisplay: 'long', maximumFractionDigits: 0 }));
+
+    return (
+        <div className="App">
+            <header className="App-header">
+                <h1>{t('analytics.title')}</h1>
+                <nav className="app-nav">
+                    <Link to="/">{t('nav.converter')}</Link>
+                    <Link to="/history">{t('nav.history')}</Link>
+                </nav>
+            </header>
+            <main>
+                <ErrorMessage error={error} />
+                {!analytics && !error && <p role="status">{t('analytics.loading')}</p>}
+                {analytics?.conversions === 0 && <p>{t('analytics.empty')}</p>}
+                {analytics?.conversions > 0 && (
+                    <div className="results-section">
+                        <p>{t('analytics.intro')}</p>
+
+                        <section className="analytics-section">
+                            <h3>{t('analytics.summaryTitle')}</h3>
+                            <ul className="playlist-settings">
+                                <li>{t('analytics.conversions', { count: analytics.conversions })}</li>
+                                <li>
+                                    {t('analytics.matchRate', {
+                                        rate: analytics.matchRate === null ? t('common.notAvailable') : formatPercent(analytics.matchRate),
+                                    })}
+                                </li>
+                                <li>{t('analytics.tracksAdded', { count: analytics.tracksAdded })}</li>
+                                <li>
+                                    {analytics.averageDurationMs === null
+                                        ? t('analytics.noDuration')
+                                        : t('analytics.averageDuration', { duration: formatDuration(analytics.averageDurationMs) })}
+                                </li>
+                            </ul>
+                        </section>
+
+                        <section className="analytics-section">
+                            <h3>{t('analytics.matchRateTitle')}</h3>
+                            <table className="analytics-table">
+                                <thead>
+                                    <tr>
+                                        <th>{t('analytics.dayColumn')}</th>
+                                        <th>{t('analytics.conversionsColumn')}</th>
+                                        <th>{t('analytics.rateColumn')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {analytics.matchRateByDay.map((point) => (
+                                        <tr key={point.day}>
+                                            {/* Day keys are local dates, parsing them with a time keeps them in local time */}
+                                            <td>{formatDate(`${point.day}T00:00:00`, { dateStyle: 'medium' })}</td>
+                                            <td>{formatNumber(point.conversions)}</td>
+                                            <td>
+                                                {point.rate === null ? t('analytics.noRate') : (
+                                                    <>
+                                                        <span className="analytics-bar" aria-hidden="true">
+                                                            <span style={{ width: `${Math.round(point.rate * 100)}%` }} />
+                                                        </span>
+                                                        {formatPercent(point.rate)}
+                                                    </>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </section>
+
+                        <RankingList
+                            title={t('analytics.failureReasonsTitle')}
+                            emptyText={t('analytics.noFailureReasons')}
+                            entries={analytics.failureReasons}
+                            countKey="analytics.occurrences"
+                        />
+                        <RankingList
+                            title={t('analytics.repeatedTracksTitle')}
+                            emptyText={t('analytics.noRepeatedTracks')}
+                            entries={analytics.repeatedFailures.tracks}
+                            countKey="analytics.failedIn"
+                        />
+                        <RankingList
+                            title={t('analytics.repeatedArtistsTitle')}
+                            emptyText={t('analytics.noRepeatedArtists')}
+                            entries={analytics.repeatedFailures.artists}
+                            countKey="analytics.failedIn"
+                        />
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
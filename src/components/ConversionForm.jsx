@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import * as api from '../api';
+import { useAuth } from '../auth/AuthContext';
+import { useI18n } from '../i18n/I18nContext';
+import { localizedMessage } from '../i18n/translate';
+import { useMatchingOptions } from '../matchingOptions';
+import { DEFAULT_PLAYLIST_METADATA, buildPlaylistMetadataPayload } from '../playlistMetadata';
+import MatchingOptionsPanel from './MatchingOptionsPanel';
+import PlaylistMetadataFields from './PlaylistMetadataFields';
+
+// Wait for the user to stop typing before fetching a playlist preview
+const PREVIEW_DEBOUNCE_MS = 500;
+
+// Single-playlist conversion form: source URL with a live preview, destination playlist and options.
+// Submits the /convert request payload; `resetToken` changes clear the URL and name after a conversion.
+// `prefillUrl` fills in a playlist link handed over from outside, like a share to the installed app.
+export default function ConversionForm({ direction, isConverting, disabled, resetToken, prefillUrl, onSubmit, onError }) {
+    const { isLoggedIn, userData } = useAuth();
+    const { t, formatMessage, formatDate } = useI18n();
+    const [playlistUrl, setPlaylistUrl] = useState('');
+    const [playlistName, setPlaylistName] = useState('');
+    // Description, visibility and cover of a newly created playlist
+    const [playlistMetadata, setPlaylistMetadata] = useState(DEFAULT_PLAYLIST_METADATA);
+    // Two-step mode: fetch proposed matches first, create the playlist after review
+    const [reviewBeforeConvert, setReviewBeforeConvert] = useState(false);
+    const [matchingOptions, setMatchingOptions] = useMatchingOptions(userData?.id);
+    // Spotify playlists of the logged-in user that conversions can be merged into
+    const [userPlaylists, setUserPlaylists] = useState([]);
+    const [isLoadingPlaylists, setIsLoadingPlaylists] = useState(false);
+    // 'new' creates a playlist from playlistName, 'existing' writes into targetPlaylistId
+    const [targetMode, setTargetMode] = useState('new');
+    const [targetPlaylistId, setTargetPlaylistId] = useState('');
+    const [skipExistingTracks, setSkipExistingTracks] = useState(true);
+    const [writeMode, setWriteMode] = useState('append');
+    const canMergeIntoExisting = direction.destination.id === 'spotify' && userPlaylists.length > 0;
+    const isMergingIntoExisting = canMergeIntoExisting && targetMode === 'existing';
+    // Preview of the pasted playlist: { status: 'idle' | 'loading' | 'ready' | 'error', info, error }.
+    // `error` and validation errors are localizedMessages or ApiErrors, translated when rendered
+    const [urlPreview, setUrlPreview] = useState({ status: 'idle' });
+    const urlValidationError = playlistUrl.trim() ? direction.source.validateUrl(playlistUrl) : null;
+    const normalizedPlaylistUrl = urlValidationError ? '' : direction.source.normalizeUrl(playlistUrl);
+
+    // A URL of the previous direction's source can't be converted in the new one
+    useEffect(() => {
+        setPlaylistUrl('');
+    }, [direction.id]);
+
+    // Declared after the direction reset so a prefilled link survives the first render
+    useEffect(() => {
+        if (prefillUrl) {
+            setPlaylistUrl(prefillUrl);
+        }
+    }, [prefillUrl]);
+
+    useEffect(() => {
+        if (!resetToken) return;
+        setPlaylistUrl('');
+        setPlaylistName('');
+        // Description and visibility settings carry over, a cover belongs to one playlist
+        setPlaylistMetadata((prev) => ({ ...prev, coverSource: 'none', coverImage: null, coverFileName: null }));
+    }, [resetToken]);
+
+    // Fetch title and track count of the pasted playlist once the input is a valid link
+    useEffect(() => {
+        if (!isLoggedIn || !normalizedPlaylistUrl) {
+            setUrlPreview({ status: 'idle' });
+            return;
+        }
+        let cancelled = false;
+        setUrlPreview({ status: 'loading' });
+        const timeoutId = setTimeout(async () => {
+            try {
+                const info = await api.getPlaylistInfo(normalizedPlaylistUrl, direction.source.id);
+                if (cancelled) return;
+                setUrlPreview(info ? { status: 'ready', info } : { status: 'error', error: localizedMessage('form.loadFailed') });
+            } catch (err) {
+                if (cancelled) return;
+                // 404/403 from the backend means the playlist is missing or private
+                setUrlPreview({
+                    status: 'error',
+                    error: [403, 404].includes(err.status) ? localizedMessage('form.playlistNotFound') : err,
+                });
+            }
+        }, PREVIEW_DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timeoutId);
+        };
+    }, [isLoggedIn, normalizedPlaylistUrl, direction.source.id]);
+
+    // Load the user's Spotify playlists once logged in, for "add to existing playlist"
+    useEffect(() => {
+        if (!isLoggedIn) {
+            setUserPlaylists([]);
+            setTargetMode('new');
+            setTargetPlaylistId('');
+            return;
+        }
+        let cancelled = false;
+        setIsLoadingPlaylists(true);
+        api.listSpotifyPlaylists()
+            .then((playlists) => {
+                if (cancelled) return;
+                // Only playlists we're allowed to write to can be merge targets
+                setUserPlaylists(playlists.filter((playlist) => (
+                    playlist.collaborative || !playlist.owner_id || playlist.owner_id === userData?.id
+                )));
+            })
+            .catch((err) => {
+                if (!cancelled) onError?.(err);
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoadingPlaylists(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+        // onError is a state setter passed down by the parent
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [isLoggedIn, userData?.id]);
+
+    // Destination fields of a /convert request: a new playlist by name, or an existing one with merge options
+    const buildTargetPayload = () => {
+        if (isMergingIntoExisting) {
+            const target = userPlaylists.find((playlist) => playlist.id === targetPlaylistId);
+            return {
+                target_playlist_id: targetPlaylistId,
+                playlist_name: target?.name,
+                skip_existing_tracks: skipExistingTracks,
+                write_mode: writeMode,
+            };
+        }
+        return {
+            playlist_name: playlistName || t('form.defaultPlaylistName', { source: direction.source.shortLabel }),
+            ...buildPlaylistMetadataPayload(playlistMetadata, {
+                destinationId: direction.destination.id,
+                sourceUrl: normalizedPlaylistUrl,
+                sourceInfo: urlPreview.status === 'ready' ? urlPreview.info : null,
+                date: formatDate(new Date(), { dateStyle: 'medium' }),
+            }),
+        };
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        onSubmit({
+            playlist_url: normalizedPlaylistUrl,
+            ...buildTargetPayload(),
+            source: direction.source.id,
+            destination: direction.destination.id,
+            matching_options: matchingOptions,
+        }, { reviewBeforeConvert });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className={`conversion-form ${!isLoggedIn || disabled ? 'disabled' : ''}`}>
+            <div className="form-group">
+                <label htmlFor="playlist_url">{t('form.urlLabel', { source: direction.source.label })}</label>
+                {/* type="text": bare playlist IDs and scheme-less links are accepted too */}
+                <input
+                    type="text"
+                    inputMode="url"
+                    id="playlist_url"
+                    value={playlistUrl}
+                    onChange={(e) => setPlaylistUrl(e.target.value)}
+                    placeholder={direction.source.urlPlaceholder}
+                    required
+                    disabled={!isLoggedIn || isConverting}
+                    aria-invalid={Boolean(urlValidationError || urlPreview.status === 'error')}
+                    aria-describedby="playlist_url_status"
+                />
+                <div id="playlist_url_status">
+                    {urlValidationError && <small className="input-error">{formatMessage(urlValidationError)}</small>}
+                    {!urlValidationError && urlPreview.status === 'loading' && <small>{t('form.lookingUp')}</small>}
+                    {!urlValidationError && urlPreview.status === 'error' && <small className="input-error">{formatMessage(urlPreview.error)}</small>}
+                    {!urlValidationError && urlPreview.status === 'ready' && (
+                        <div className="playlist-preview">
+                            {urlPreview.info.thumbnail_url && <img src={urlPreview.info.thumbnail_url} alt="" />}
+                            <div>
+                                <strong>{urlPreview.info.title || t('form.untitledPlaylist')}</strong>
+                                <small>
+                                    {typeof urlPreview.info.track_count === 'number'
+                                        ? t('form.trackCount', { count: urlPreview.info.track_count })
+                                        : t('form.trackCountUnknown')}
+                                    {urlPreview.info.author ? ` · ${t('form.byAuthor', { author: urlPreview.info.author })}` : ''}
+                                </small>
+                            </div>
+                        </div>
+                    )}
+                    {urlPreview.status === 'idle' && !urlValidationError && <small>{t(`providers.urlHint.${direction.source.id}`)}</small>}
+                </div>
+            </div>
+            {canMergeIntoExisting && (
+                <div className="form-group target-mode" role="radiogroup" aria-label={t('form.targetGroup')}>
+                    <label>
+                        <input
+                            type="radio"
+                            name="target_mode"
+                            value="new"
+                            checked={targetMode === 'new'}
+                            onChange={() => setTargetMode('new')}
+                            disabled={!isLoggedIn || isConverting}
+                        />
+                        {t('form.targetNew')}
+                    </label>
+                    <label>
+                        <input
+                            type="radio"
+                            name="target_mode"
+                            value="existing"
+                            checked={targetMode === 'existing'}
+                            onChange={() => setTargetMode('existing')}
+                            disabled={!isLoggedIn || isConverting}
+                        />
+                        {t('form.targetExisting')}
+                    </label>
+                </div>
+            )}
+            {isMergingIntoExisting ? (
+                <div className="form-group">
+                    <label htmlFor="target_playlist">{t('form.existingLabel')}</label>
+                    <select
+                        id="target_playlist"
+                        value={targetPlaylistId}
+                        onChange={(e) => setTargetPlaylistId(e.target.value)}
+                        required
+                        disabled={!isLoggedIn || isConverting}
+                    >
+                        <option value="">{t('form.choosePlaylist')}</option>
+                        {userPlaylists.map((playlist) => (
+                            <option key={playlist.id} value={playlist.id}>
+                                {typeof playlist.tracks_total === 'number'
+                                    ? t('form.playlistOption', { name: playlist.name, count: playlist.tracks_total })
+                                    : playlist.name}
+                            </option>
+                        ))}
+                    </select>
+                    <div className="merge-options">
+                        <label>
+                            <input
+                                type="radio"
+                                name="write_mode"
+                                value="append"
+                                checked={writeMode === 'append'}
+                                onChange={() => setWriteMode('append')}
+                                disabled={!isLoggedIn || isConverting}
+                            />
+                            {t('form.append')}
+                        </label>
+                        <label>
+                            <input
+                                type="radio"
+                                name="write_mode"
+                                value="replace"
+                                checked={writeMode === 'replace'}
+                                onChange={() => setWriteMode('replace')}
+                                disabled={!isLoggedIn || isConverting}
+                            />
+                            {t('form.replace')}
+                        </label>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={skipExistingTracks}
+                                onChange={(e) => setSkipExistingTracks(e.target.checked)}
+                                disabled={!isLoggedIn || isConverting || writeMode === 'replace'}
+                            />
+                            {t('form.skipExisting')}
+                        </label>
+                    </div>
+                </div>
+            ) : (
+                <>
+                    <div className="form-group">
+                        <label htmlFor="playlist_name">{t('form.nameLabel', { destination: direction.destination.label })}</label>
+                        <input
+                            type="text"
+                            id="playlist_name"
+                            value={playlistName}
+                            onChange={(e) => setPlaylistName(e.target.value)}
+                            placeholder={t('form.namePlaceholder')}
+                            disabled={!isLoggedIn || isConverting}
+                        />
+                        {isLoadingPlaylists && <small role="status">{t('form.loadingPlaylists')}</small>}
+                    </div>
+                    <PlaylistMetadataFields
+                        metadata={playlistMetadata}
+                        onChange={(patch) => setPlaylistMetadata((prev) => ({ ...prev, ...patch }))}
+                        direction={direction}
+                        sourceUrl={normalizedPlaylistUrl}
+                        sourceInfo={urlPreview.status === 'ready' ? urlPreview.info : null}
+                        disabled={!isLoggedIn || isConverting}
+                    />
+                </>
+            )}
+            <div className="form-group form-checkbox">
+                <label htmlFor="review_before_convert">
+                    <input
+                        type="checkbox"
+                        id="review_before_convert"
+                        checked={reviewBeforeConvert}
+                        onChange={(e) => setReviewBeforeConvert(e.target.checked)}
+                        disabled={!isLoggedIn || isConverting}
+                    />
+                    {t('form.review')}
+                </label>
+            </div>
+            <MatchingOptionsPanel
+                options={matchingOptions}
+                onChange={setMatchingOptions}
+                disabled={!isLoggedIn || isConverting}
+            />
+            <button type="submit" disabled={!isLoggedIn || disabled || isConverting || urlPreview.status !== 'ready' || (isMergingIntoExisting && !targetPlaylistId)}>
+                {isConverting ? t('form.converting') : t(reviewBeforeConvert ? 'form.findMatches' : 'form.convert')}
+            </button>
+        </form>
+    );
+}
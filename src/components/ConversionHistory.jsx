@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import * as api from '../api';
+import { listConversions, deleteConversion, mergeConversions } from '../historyStore';
+import { useI18n } from '../i18n/I18nContext';
+import { localizedMessage } from '../i18n/translate';
+import { useListNavigation } from '../useListNavigation';
+import ErrorMessage from './ErrorMessage';
+
+// --- Conversion History ---
+const HISTORY_STATUSES = ['success', 'partial', 'failed'];
+
+// Lists stored conversions with text/status filtering, optional backend sync and deletion
+export default function ConversionHistory() {
+    const { t, formatDate } = useI18n();
+    const [records, setRecords] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const [error, setError] = useState(null);
+    const [filterText, setFilterText] = useState('');
+    const [statusFilter, setStatusFilter] = useState('all');
+
+    const loadRecords = useCallback(async () => {
+        try {
+            setRecords(await listConversions());
+        } catch (err) {
+            console.error("Failed to load conversion history:", err);
+            setError(localizedMessage('history.loadFailed'));
+        }
+        setIsLoading(false);
+    }, []);
+
+    useEffect(() => {
+        loadRecords();
+    }, [loadRecords]);
+
+    const handleSync = async () => {
+        setIsSyncing(true);
+        setError(null);
+        try {
+            await mergeConversions(await api.listServerHistory());
+            await loadRecords();
+        } catch (err) {
+            console.error("History sync failed:", err);
+            setError(localizedMessage('history.syncFailed', { message: err }));
+        }
+        setIsSyncing(false);
+    };
+
+    const handleDelete = async (record) => {
+        setError(null);
+        try {
+            // Entries that came from the backend are removed there too, or the next sync brings them back
+            if (record.origin === 'server') {
+                await api.deleteServerHistoryEntry(record.id);
+            }
+            await deleteConversion(record.id);
+            setRecords((prev) => prev.filter((item) => item.id !== record.id));
+        } catch (err) {
+            console.error("Failed to delete history entry:", err);
+            setError(localizedMessage('history.deleteFailed', { message: err }));
+        }
+    };
+
+    const normalizedFilter = filterText.trim().toLowerCase();
+    const visibleRecords = records.filter((record) => (
+        (statusFilter === 'all' || record.status === statusFilter)
+        && (!normalizedFilter
+            || (record.playlist_name || '').toLowerCase().includes(normalizedFilter)
+            || (record.destination_playlist_name || '').toLowerCase().includes(normalizedFilter)
+            || (record.source_url || '').toLowerCase().includes(normalizedFilter))
+    ));
+    const getItemProps = useListNavigation(visibleRecords.length);
+
+    return (
+        <div className="App">
+            <header className="App-header">
+                <h1>{t('history.title')}</h1>
+                <nav className="app-nav">
+                    <Link to="/">{t('nav.converter')}</Link>
+                </nav>
+            </header>
+            <main>
+                <ErrorMessage error={error} />
+
+                <div className="history-toolbar">
+                    <input
+                        type="text"
+                        value={filterText}
+                        onChange={(e) => setFilterText(e.target.value)}
+                        placeholder={t('history.filterPlaceholder')}
+                        aria-label={t('history.filterLabel')}
+                    />
+                    <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} aria-label={t('history.statusFilterLabel')}>
+                        <option value="all">{t('history.allStatuses')}</option>
+                        {HISTORY_STATUSES.map((value) => (
+                            <option key={value} value={value}>{t(`history.status.${value}`)}</option>
+                        ))}
+                    </select>
+                    <button type="button" onClick={handleSync} disabled={isSyncing}>
+                        {isSyncing ? t('history.syncing') : t('history.syncFromServer')}
+                    </button>
+                </div>
+
+                {isLoading && <p role="status">{t('history.loading')}</p>}
+                {!isLoading && visibleRecords.length === 0 && (
+                    <p>{records.length === 0 ? t('history.empty') : t('history.noMatches')}</p>
+                )}
+                {visibleRecords.length > 0 && (
+                    <ul className="history-list">
+                        {visibleRecords.map((record, index) => (
+                            <li key={record.id} className={`history-item status-${record.status}`} {...getItemProps(index)}>
+                                <div className="history-item-main">
+                                    <Link to={`/history/${encodeURIComponent(record.id)}`}>
+                                        {record.destination_playlist_name || record.playlist_name || t('history.untitled')}
+                                    </Link>
+                                    <small>
+                                        {formatDate(record.created_at)}
+                                        {' · '}{HISTORY_STATUSES.includes(record.status) ? t(`history.status.${record.status}`) : record.status}
+                                        {' · '}{t('history.tracksAdded', {
+                                            added: record.tracks_added ?? 0,
+                                            total: record.total_source_tracks ?? t('common.notAvailable'),
+                                        })}
+                                    </small>
+                                </div>
+                                <button type="button" onClick={() => handleDelete(record)}>{t('history.delete')}</button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </main>
+        </div>
+    );
+}
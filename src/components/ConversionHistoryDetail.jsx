@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import * as api from '../api';
+import { getConversion, deleteConversion, updateConversion } from '../historyStore';
+import { useI18n } from '../i18n/I18nContext';
+import { localizedMessage } from '../i18n/translate';
+import { canSync } from '../syncs';
+import ConversionResultDetails from './ConversionResultDetails';
+import ErrorMessage from './ErrorMessage';
+import SyncSetup from './SyncSetup';
+
+// Detail view of one stored conversion
+export default function ConversionHistoryDetail() {
+    const { conversionId } = useParams();
+    const { t, formatDate } = useI18n();
+    const navigate = useNavigate();
+    const [record, setRecord] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        getConversion(conversionId)
+            .then((stored) => {
+                setRecord(stored || null);
+                if (!stored) {
+                    setError(localizedMessage('history.notInHistory'));
+                }
+            })
+            .catch((err) => {
+                console.error("Failed to load history entry:", err);
+                setError(localizedMessage('history.loadEntryFailed'));
+            })
+            .finally(() => setIsLoading(false));
+    }, [conversionId]);
+
+    const handleSyncCreated = (sync) => {
+        setRecord((prev) => ({ ...prev, sync_id: sync.id }));
+        updateConversion(record.id, { sync_id: sync.id })
+            .catch((err) => console.error("Failed to store sync on history entry:", err));
+    };
+
+    const handleDelete = async () => {
+        try {
+            if (record.origin === 'server') {
+                await api.deleteServerHistoryEntry(record.id);
+            }
+            await deleteConversion(record.id);
+            navigate('/history');
+        } catch (err) {
+            console.error("Failed to delete history entry:", err);
+            setError(localizedMessage('history.deleteFailed', { message: err }));
+        }
+    };
+
+    return (
+        <div className="App">
+            <header className="App-header">
+                <h1>{t('history.detailTitle')}</h1>
+                <nav className="app-nav">
+                    <Link to="/history">{t('nav.backToHistory')}</Link>
+                </nav>
+            </header>
+            <main>
+                <ErrorMessage error={error} />
+                {isLoading && <p role="status">{t('history.loadingEntry')}</p>}
+                {record && (
+                    <div className="results-section">
+                        <p>
+                            {t('history.convertedFrom', { date: formatDate(record.created_at) })}{' '}
+                            <a href={record.source_url} target="_blank" rel="noopener noreferrer">{record.source_url || t('history.unknownSource')}</a>
+                        </p>
+                        {record.error && <p className="history-error">{t('history.finishedWithError', { error: record.error })}</p>}
+                        <ConversionResultDetails results={record} />
+                        {canSync(record) && (
+                            <SyncSetup conversion={record} syncId={record.sync_id} onCreated={handleSyncCreated} />
+                        )}
+                        <div className="history-detail-actions">
+                            <button type="button" onClick={handleDelete}>{t('history.deleteFromHistory')}</button>
+                        </div>
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,53 @@
+import React, { useEffect, useRef } from 'react';
+import { useI18n } from '../i18n/I18nContext';
+
+const LOG_STATUSES = ['matched', 'not_found', 'error'];
+
+// Progress panel for a running conversion job: counters, progress bar and per-track log.
+// Screen readers get start and finish from the page's announcement region; the log is not live
+// because it would read out every track.
+export default function ConversionProgress({ job, log, onCancel, isCancelling }) {
+    const { t } = useI18n();
+    const logEndRef = useRef(null);
+
+    // Keep the newest log entry in view as events stream in
+    useEffect(() => {
+        logEndRef.current?.scrollIntoView?.({ block: 'nearest' });
+    }, [log.length]);
+
+    const processedText = job.total
+        ? t('progress.processed', { count: job.processed || 0, total: job.total })
+        : t('progress.fetching');
+
+    return (
+        <div className="progress-section">
+            <h2>{t('progress.title')}</h2>
+            <progress
+                value={job.processed || 0}
+                max={job.total || 1}
+                aria-label={t('progress.barLabel')}
+                aria-valuetext={processedText}
+            />
+            <p className="progress-counts">
+                {processedText}
+                {' · '}{t('progress.counts', { matched: job.matched || 0, failed: job.failed || 0 })}
+            </p>
+            {log.length > 0 && (
+                <ul className="progress-log" aria-label={t('progress.logLabel')} aria-live="off">
+                    {log.map((event, index) => (
+                        <li key={index} className={`log-${event.status}`}>
+                            <strong>{LOG_STATUSES.includes(event.status) ? t(`trackStatus.${event.status}`) : event.status}:</strong> {event.title}
+                            {event.message ? ` (${event.message})` : ''}
+                        </li>
+                    ))}
+                    <li ref={logEndRef} className="log-end" aria-hidden="true" />
+                </ul>
+            )}
+            <div className="progress-actions">
+                <button type="button" onClick={onCancel} disabled={isCancelling}>
+                    {isCancelling ? t('progress.cancelling') : t('progress.cancel')}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,121 @@
+import React from 'react';
+import { EXPORT_FORMATS, exportResults } from '../exportResults';
+import { useI18n } from '../i18n/I18nContext';
+import { PROVIDERS, normalizeResults } from '../providers';
+import { getTrackDiagnostics } from '../trackDiagnostics';
+import { useListNavigation } from '../useListNavigation';
+
+const DIAGNOSTIC_STATUSES = ['matched', 'not_found', 'error'];
+
+const getVisibilityKey = ({ public: isPublic, collaborative }) => (
+    `results.visibility.${isPublic ? 'public' : 'private'}${collaborative ? 'Collaborative' : ''}`
+);
+
+// Summary, per-track problems, API issues and not-found lists of a conversion, shared by the main page and history details.
+// The lists are single tab stops that the arrow keys move through.
+export default function ConversionResultDetails({ results: rawResults }) {
+    const { t, formatMessage } = useI18n();
+    const results = normalizeResults(rawResults);
+    const diagnostics = getTrackDiagnostics(results);
+    const notFoundTracks = results.not_found_tracks || [];
+    const getDiagnosticRowProps = useListNavigation(diagnostics.tracks.length);
+    const getGeneralItemProps = useListNavigation(diagnostics.general.length);
+    const getNotFoundItemProps = useListNavigation(notFoundTracks.length);
+    const settings = results.playlist_settings;
+    const source = PROVIDERS[results.source] || PROVIDERS.youtube;
+    const destination = PROVIDERS[results.destination] || PROVIDERS.spotify;
+    // Counts the backend did not report stay "N/A"; plural forms then fall back to `other`
+    const count = (value) => value ?? t('common.notAvailable');
+    return (
+        <>
+            <div className="result-summary">
+                 {results.destination_playlist_url ? (
+                     <p>{t('results.created', { destination: destination.label })}
+                         <a href={results.destination_playlist_url} target="_blank" rel="noopener noreferrer">
+                             {results.destination_playlist_name}
+                         </a>
+                     </p>
+                 ) : (
+                    <p>{t('results.creationFailed')}</p>
+                 )}
+                <p>{t('results.processed', { count: count(results.total_source_tracks), source: source.label })}</p>
+                <p>{t('results.found', { count: count(results.found_destination_tracks), destination: destination.label })}</p>
+                {results.destination_playlist_url && <p>{t('results.added', { count: count(results.tracks_added) })}</p>}
+                {results.destination_playlist_url && settings && (
+                    <ul className="playlist-settings">
+                        {settings.description && <li>{t('results.description', { description: settings.description })}</li>}
+                        <li>{t(getVisibilityKey(settings))}</li>
+                        {results.destination === 'spotify' && (
+                            <li>{t(`results.cover.${['thumbnail', 'upload'].includes(settings.cover) ? settings.cover : 'none'}`, { source: source.label })}</li>
+                        )}
+                    </ul>
+                )}
+            </div>
+
+            {diagnostics.tracks.length > 0 && (
+                <div className="track-diagnostics">
+                    <h4>{t('results.problemsTitle')}</h4>
+                    <table className="diagnostics-table">
+                        <thead>
+                            <tr>
+                                <th>{t('results.trackColumn')}</th>
+                                <th>{t('results.resultColumn')}</th>
+                                <th>{t('results.problemColumn')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {diagnostics.tracks.map((entry, rowIndex) => (
+                                <tr key={entry.key} {...getDiagnosticRowProps(rowIndex)}>
+                                    <td>{entry.label}</td>
+                                    <td>
+                                        {DIAGNOSTIC_STATUSES.includes(entry.status)
+                                            ? t(`trackStatus.${entry.status}`)
+                                            : (entry.status || t('trackStatus.unknown'))}
+                                    </td>
+                                    <td>
+                                        <ul>
+                                            {entry.problems.map((problem, index) => (
+                                                <li key={index}>{formatMessage(problem)}</li>
+                                            ))}
+                                        </ul>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {diagnostics.general.length > 0 && (
+                <div className="api-errors">
+                    <h4>{t('results.apiIssues')}</h4>
+                    <ul>
+                        {diagnostics.general.map((err, index) => (
+                            <li key={index} {...getGeneralItemProps(index)}>{formatMessage(err)}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {notFoundTracks.length > 0 && (
+                <div className="not-found">
+                    <h4>{t('results.notFoundTitle', { destination: destination.label })}</h4>
+                    <ul>
+                        {notFoundTracks.map((track, index) => (
+                            <li key={index} {...getNotFoundItemProps(index)}>{track}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <div className="export-actions">
+                <span>{t('results.export')}</span>
+                {Object.keys(EXPORT_FORMATS).map((format) => (
+                    <button key={format} type="button" onClick={() => exportResults(results, format)}>
+                        {t(`results.exportFormats.${format}`)}
+                    </button>
+                ))}
+            </div>
+        </>
+    );
+}
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import * as api from '../api';
+import { buildConversionRecord, getConversion, saveConversion, updateConversion } from '../historyStore';
+import { useI18n } from '../i18n/I18nContext';
+import { PROVIDERS } from '../providers';
+import { canSync } from '../syncs';
+import ConversionResultDetails from './ConversionResultDetails';
+import RetryUnmatched from './RetryUnmatched';
+import SyncSetup from './SyncSetup';
+
+// Results of the latest conversion on the main page, with retrying of unmatched tracks.
+// `recordId` is the history entry of these results, kept in step when a retry finds new matches.
+export default function ConversionResults({ results, recordId, disabled, onResultsChange, onError }) {
+    const { t } = useI18n();
+    const [isRetrying, setIsRetrying] = useState(false);
+
+    // Re-runs matching for not-found tracks and appends hits to the playlist that was already created
+    const handleRetryUnmatched = async (retryTracks, looseMatching) => {
+        setIsRetrying(true);
+        onError(null);
+
+        try {
+            const data = await api.retryUnmatched({
+                destination: results.destination,
+                destination_playlist_url: results.destination_playlist_url,
+                tracks: retryTracks,
+                loose_matching: looseMatching,
+            });
+            const retried = new Set(retryTracks.map((track) => track.title));
+            const stillMissing = new Set(data?.not_found_tracks || []);
+            const addedCount = data?.tracks_added ?? 0;
+            const foundCount = retryTracks.length - retryTracks.filter((track) => stillMissing.has(track.title)).length;
+            const updatedResults = {
+                ...results,
+                found_destination_tracks: (results.found_destination_tracks ?? 0) + foundCount,
+                tracks_added: (results.tracks_added ?? 0) + addedCount,
+                // Tracks left out of the retry stay in the list untouched
+                not_found_tracks: results.not_found_tracks.filter((track) => !retried.has(track) || stillMissing.has(track)),
+                api_errors: [...(results.api_errors || []), ...(data?.api_errors || [])],
+            };
+            // Keep the per-track list used by exports in step with the new matches
+            if (Array.isArray(results.tracks) && data?.matched_tracks?.length > 0) {
+                const matchedByTitle = new Map(data.matched_tracks.map((track) => [track.title, track]));
+                updatedResults.tracks = results.tracks.map((track) => (
+                    matchedByTitle.has(track.title) ? { ...track, ...matchedByTitle.get(track.title), status: 'matched' } : track
+                ));
+            }
+            onResultsChange(updatedResults);
+
+            if (recordId) {
+                getConversion(recordId)
+                    .then((record) => record && saveConversion({
+                        ...record,
+                        ...buildConversionRecord({
+                            sourceUrl: record.source_url,
+                            playlistName: record.playlist_name,
+                            results: updatedResults,
+                            error: record.error,
+                            durationMs: record.duration_ms,
+                        }),
+                        id: record.id,
+                        created_at: record.created_at,
+                        origin: record.origin,
+                    }))
+                    .catch((err) => console.error("Failed to update history entry after retry:", err));
+            }
+        } catch (err) {
+            onError(err);
+        }
+        setIsRetrying(false);
+    };
+
+    // The pairing lives on the backend, the history entry only remembers which sync it belongs to
+    const handleSyncCreated = (sync) => {
+        onResultsChange({ ...results, sync_id: sync.id });
+        if (recordId) {
+            updateConversion(recordId, { sync_id: sync.id })
+                .catch((err) => console.error("Failed to store sync on history entry:", err));
+        }
+    };
+
+    return (
+        <div className="results-section">
+            <h2>{t('results.title')}</h2>
+            <ConversionResultDetails results={results} />
+            {results.destination_playlist_url && results.not_found_tracks?.length > 0 && (
+                <RetryUnmatched
+                    tracks={results.not_found_tracks}
+                    destinationLabel={(PROVIDERS[results.destination] || PROVIDERS.spotify).label}
+                    onRetry={handleRetryUnmatched}
+                    isRetrying={isRetrying}
+                    disabled={disabled}
+                />
+            )}
+            {canSync(results) && (
+                <SyncSetup conversion={results} syncId={results.sync_id} onCreated={handleSyncCreated} disabled={disabled} />
+            )}
+        </div>
+    );
+}
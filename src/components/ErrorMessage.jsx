@@ -0,0 +1,40 @@
+import React from 'react';
+import { ApiError } from '../api';
+import { useI18n } from '../i18n/I18nContext';
+import { PROVIDERS } from '../providers';
+
+// What the user can do about a transient failure; other kinds carry a specific message already
+const getErrorHint = (error, t) => {
+    if (!(error instanceof ApiError)) return null;
+    switch (error.kind) {
+        case 'rate_limited':
+            return error.retryAfterMs !== null
+                ? t('errors.hints.rateLimitedRetryAfter', { count: Math.max(1, Math.ceil(error.retryAfterMs / 1000)) })
+                : t('errors.hints.rateLimited');
+        case 'upstream':
+            return PROVIDERS[error.provider]
+                ? t('errors.hints.upstream', { service: PROVIDERS[error.provider].label })
+                : t('errors.hints.upstreamUnknown');
+        case 'network':
+            return t('errors.hints.network');
+        default:
+            return null;
+    }
+};
+
+// Error banner for a plain message, a localizedMessage or an ApiError, with an optional retry action.
+// role="alert" makes screen readers announce it as soon as it appears.
+export default function ErrorMessage({ error, onRetry, retryLabel }) {
+    const { t, formatMessage } = useI18n();
+    if (!error) return null;
+    const hint = getErrorHint(error, t);
+    return (
+        <div className={`error-message${error.kind ? ` error-${error.kind}` : ''}`} role="alert">
+            {t('errors.banner', { message: formatMessage(error) })}
+            {hint && <small className="error-hint">{hint}</small>}
+            {onRetry && (
+                <button type="button" onClick={onRetry}>{retryLabel}</button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nContext';
+import { LOCALES } from '../i18n/translate';
+
+// Language picker for the header. Language names are shown in their own language so they can be
+// found without reading the current one.
+export default function LanguageSelect() {
+    const { locale, setLocale, t } = useI18n();
+    return (
+        <div className="language-select">
+            <label htmlFor="ui_language">{t('common.language')}</label>
+            <select id="ui_language" value={locale} onChange={(event) => setLocale(event.target.value)}>
+                {Object.entries(LOCALES).map(([id, { label }]) => (
+                    <option key={id} value={id} lang={id}>{label}</option>
+                ))}
+            </select>
+        </div>
+    );
+}
@@ -0,0 +1,566 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import * as api from '../api';
+import { useAuth } from '../auth/AuthContext';
+import { JOB_POLL_INTERVAL_MS, TERMINAL_JOB_STATUSES } from '../constants';
+import { buildConversionRecord, saveConversion } from '../historyStore';
+import { useI18n } from '../i18n/I18nContext';
+import { localizedMessage } from '../i18n/translate';
+import { getPlaylistSettings } from '../playlistMetadata';
+import { DIRECTIONS, DEFAULT_DIRECTION, getDirection, normalizeResults } from '../providers';
+import { takeSharedPlaylistUrl, clearSharedPlaylistUrl, getDirectionForUrl } from '../shareTarget';
+import { useOnlineStatus } from '../useOnlineStatus';
+import BatchConversion from './BatchConversion';
+import ConversionForm from './ConversionForm';
+import ConversionProgress from './ConversionProgress';
+import ConversionResults from './ConversionResults';
+import ErrorMessage from './ErrorMessage';
+import LanguageSelect from './LanguageSelect';
+import OfflineScreen from './OfflineScreen';
+import TrackReview from './TrackReview';
+
+// The running job id survives page reloads
+const ACTIVE_JOB_KEY = 'conversion_active_job_id';
+// Request payload of the running job, kept so its history entry can be written and a failure retried after a reload
+const ACTIVE_JOB_REQUEST_KEY = 'conversion_active_job_request';
+// When the running job was started, for the conversion duration stored in its history entry
+const ACTIVE_JOB_STARTED_KEY = 'conversion_active_job_started_at';
+// Last chosen conversion direction, so it survives the redirect through a provider login
+const DIRECTION_KEY = 'conversion_direction';
+
+// Main Application Component
+export default function MainApp() {
+    const {
+        isLoggedIn,
+        userData,
+        isAuthLoading,
+        isYoutubeConnected,
+        authError,
+        checkAuthStatus,
+        login,
+        connectYoutube,
+        logout,
+        disconnectYoutube,
+        onLogout,
+    } = useAuth();
+    const { t, formatMessage } = useI18n();
+    const [isConverting, setIsConverting] = useState(false);
+    // A plain message or an ApiError, which ErrorMessage explains by kind
+    const [error, setError] = useState(null);
+    const [results, setResults] = useState(null);
+    // History entry of the results currently shown, updated when unmatched tracks are retried
+    const [resultsRecordId, setResultsRecordId] = useState(null);
+    // Bumped after a successful conversion so the form clears its inputs
+    const [formResetCount, setFormResetCount] = useState(0);
+    // Payload of the last submitted form, reused when the reviewed matches are confirmed
+    const [pendingRequest, setPendingRequest] = useState(null);
+    // Payload of a conversion that failed and can be started again as-is
+    const [failedRequest, setFailedRequest] = useState(null);
+    const [reviewTracks, setReviewTracks] = useState(null);
+    // Running conversion job and its streamed per-track log
+    const [job, setJob] = useState(null);
+    const [jobLog, setJobLog] = useState([]);
+    const [isCancelling, setIsCancelling] = useState(false);
+    // localizedMessage read out by screen readers when a conversion starts, finishes or needs review
+    const [announcement, setAnnouncement] = useState(null);
+    // 'single' converts one playlist with ConversionForm, 'batch' hands over to BatchConversion
+    const [conversionMode, setConversionMode] = useState('single');
+    const [isBatchRunning, setIsBatchRunning] = useState(false);
+    // Playlist link shared to the installed app, prefilled into the form
+    const [sharedPlaylistUrl] = useState(() => takeSharedPlaylistUrl());
+    // A shared link picks the direction it can be converted in
+    const [directionId, setDirectionId] = useState(() => (
+        getDirectionForUrl(sharedPlaylistUrl) || localStorage.getItem(DIRECTION_KEY) || DEFAULT_DIRECTION
+    ));
+    const isOnline = useOnlineStatus();
+    // Set once the first auth check finished; later checks, e.g. after reconnecting, must not unmount the converter
+    const [hasCheckedAuth, setHasCheckedAuth] = useState(false);
+    const wasOfflineRef = useRef(!isOnline);
+    const direction = getDirection(directionId);
+    // Creating YouTube Music playlists needs a YouTube Music connection on top of the Spotify login
+    const needsYoutubeConnection = direction.destination.id === 'youtube' && !isYoutubeConnected;
+    // A session that ended on its own is explained by the auth context
+    const shownError = error || authError;
+    const pollTimeoutRef = useRef(null);
+    // Bumped whenever polling should stop, so in-flight polls of an old loop are dropped
+    const pollIdRef = useRef(0);
+    const location = useLocation(); // Access location state passed from AuthCallback
+
+    const handleDirectionChange = (event) => {
+        setDirectionId(event.target.value);
+        localStorage.setItem(DIRECTION_KEY, event.target.value);
+        setResults(null);
+        setReviewTracks(null);
+        setFailedRequest(null);
+    };
+
+    // --- Conversion Jobs ---
+    // Resolve a finished job into results/error state
+    const applyConversionResponse = (data) => {
+        if (data && data.success) {
+            setResults(normalizeResults(data.data));
+            setFormResetCount((count) => count + 1);
+            setReviewTracks(null);
+        } else if (data && data.error) {
+             setError(data.error);
+             if (data.data) {
+                setResults(normalizeResults(data.data));
+             }
+        }
+    };
+
+    const finishJob = useCallback((rawJob) => {
+        const request = JSON.parse(localStorage.getItem(ACTIVE_JOB_REQUEST_KEY) || '{}');
+        const startedAt = Number(localStorage.getItem(ACTIVE_JOB_STARTED_KEY)) || null;
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        localStorage.removeItem(ACTIVE_JOB_REQUEST_KEY);
+        localStorage.removeItem(ACTIVE_JOB_STARTED_KEY);
+        // Show the requested source and playlist settings unless the backend reports what it actually used
+        const finishedJob = rawJob.result
+            ? {
+                ...rawJob,
+                result: {
+                    source: request.source,
+                    destination: request.destination,
+                    source_url: request.playlist_url,
+                    playlist_settings: getPlaylistSettings(request),
+                    ...rawJob.result,
+                },
+            }
+            : rawJob;
+        if (finishedJob.result) {
+            const record = buildConversionRecord({
+                sourceUrl: request.playlist_url,
+                playlistName: request.playlist_name,
+                results: finishedJob.result,
+                error: finishedJob.status === 'completed' ? null : (finishedJob.error || finishedJob.status),
+                durationMs: startedAt ? Date.now() - startedAt : null,
+            });
+            setResultsRecordId(record.id);
+            // History is best effort, a storage failure must not hide the results
+            saveConversion(record).catch((err) => console.error("Failed to save conversion to history:", err));
+        }
+        if (finishedJob.status === 'completed') {
+            applyConversionResponse({ success: true, data: finishedJob.result });
+            setAnnouncement(localizedMessage('announcements.finished', {
+                count: finishedJob.result?.tracks_added ?? 0,
+                total: finishedJob.result?.total_source_tracks ?? 0,
+            }));
+        } else if (finishedJob.status === 'cancelled') {
+            setError(localizedMessage('main.conversionCancelled'));
+            setAnnouncement(localizedMessage('announcements.cancelled'));
+            if (finishedJob.result) {
+                setResults(normalizeResults(finishedJob.result));
+            }
+        } else {
+            applyConversionResponse({
+                success: false,
+                error: finishedJob.error || localizedMessage('main.conversionFailed'),
+                data: finishedJob.result,
+            });
+            setAnnouncement(localizedMessage('announcements.failed'));
+            if (request.playlist_url) {
+                setFailedRequest(request);
+            }
+        }
+        setJob(null);
+        setIsCancelling(false);
+        setIsConverting(false);
+        // applyConversionResponse only touches state setters
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    const stopPolling = () => {
+        pollIdRef.current += 1;
+        clearTimeout(pollTimeoutRef.current);
+    };
+
+    // Poll the job endpoint, asking only for log events we haven't seen yet
+    const pollJob = useCallback(async (jobId, since = 0, pollId = ++pollIdRef.current) => {
+        let jobData;
+        try {
+            jobData = await api.getConversionJob(jobId, since);
+        } catch (err) {
+            if (pollId !== pollIdRef.current) return;
+            // The job id stays stored so a reload can reattach
+            setError(err);
+            setJob(null);
+            setIsConverting(false);
+            return;
+        }
+        if (pollId !== pollIdRef.current) return;
+        const { events = [], ...jobState } = jobData;
+        setJob({ ...jobState, id: jobId });
+        if (events.length > 0) {
+            setJobLog((prev) => [...prev, ...events]);
+        }
+        if (TERMINAL_JOB_STATUSES.includes(jobState.status)) {
+            finishJob(jobState);
+            return;
+        }
+        pollTimeoutRef.current = setTimeout(() => pollJob(jobId, since + events.length, pollId), JOB_POLL_INTERVAL_MS);
+    }, [finishJob]);
+
+    // Resolves with false if the job could not be started; the error is already shown then
+    const startConversionJob = async (postData) => {
+        let jobId;
+        try {
+            jobId = await api.startConversionJob(postData);
+        } catch (err) {
+            setError(err);
+            // A new login or a changed request is needed for these, starting again as-is won't help
+            if (!['auth', 'validation'].includes(err.kind)) {
+                setFailedRequest(postData);
+            }
+            return false;
+        }
+        localStorage.setItem(ACTIVE_JOB_KEY, jobId);
+        localStorage.setItem(ACTIVE_JOB_REQUEST_KEY, JSON.stringify(postData));
+        localStorage.setItem(ACTIVE_JOB_STARTED_KEY, String(Date.now()));
+        setJob({ id: jobId, status: 'queued' });
+        setJobLog([]);
+        setAnnouncement(localizedMessage('announcements.started'));
+        await pollJob(jobId);
+        return true;
+    };
+
+    const handleCancelJob = async () => {
+        if (!job) return;
+        setIsCancelling(true);
+        try {
+            await api.cancelConversionJob(job.id);
+            // The next poll reports the 'cancelled' status and finishes the job
+        } catch (err) {
+            // Cancel request failed, keep following the job
+            setError(err);
+            setIsCancelling(false);
+        }
+    };
+
+    // --- Conversion Handling ---
+    const handleConvert = async (payload, { reviewBeforeConvert }) => {
+        setIsConverting(true);
+        setError(null);
+        setResults(null);
+        setResultsRecordId(null);
+        setReviewTracks(null);
+        setPendingRequest(payload);
+        clearSharedPlaylistUrl();
+        setFailedRequest(null);
+
+        if (reviewBeforeConvert) {
+            try {
+                const data = await api.previewConversion({
+                    playlist_url: payload.playlist_url,
+                    source: payload.source,
+                    destination: payload.destination,
+                    matching_options: payload.matching_options,
+                });
+                // Preselect the best candidate for every track
+                const tracks = (data?.tracks || []).map((track) => ({
+                    ...track,
+                    candidates: track.candidates || [],
+                    selectedUri: track.candidates?.[0]?.uri || null,
+                    dropped: false,
+                }));
+                setReviewTracks(tracks);
+                setAnnouncement(localizedMessage('announcements.reviewReady', { count: tracks.length }));
+            } catch (err) {
+                setError(err);
+            }
+            setIsConverting(false);
+        } else if (!(await startConversionJob(payload))) {
+            // A started job keeps isConverting set until it finishes
+            setIsConverting(false);
+        }
+    };
+
+    // Starts a failed conversion again with the exact same request, including reviewed matches
+    const handleRetryConversion = () => {
+        handleConvert(failedRequest, { reviewBeforeConvert: false });
+    };
+
+    const handleUpdateReviewTrack = (index, patch) => {
+        setReviewTracks((prev) => prev.map((track, i) => (i === index ? { ...track, ...patch } : track)));
+    };
+
+    const handleSearchTracks = async (query) => {
+        setError(null);
+        try {
+            return await api.searchTracks(query, direction.destination.id);
+        } catch (err) {
+            setError(err);
+            return [];
+        }
+    };
+
+    const handleConfirmReview = async () => {
+        setIsConverting(true);
+        setError(null);
+        setResults(null);
+        setFailedRequest(null);
+
+        // Dropped tracks are left out entirely, kept tracks without a match are reported as not found
+        const confirmedTracks = reviewTracks
+            .filter((track) => !track.dropped)
+            .map((track) => ({
+                title: track.title,
+                artist: track.artist,
+                destination_uri: track.selectedUri,
+            }));
+        if (!(await startConversionJob({ ...pendingRequest, confirmed_tracks: confirmedTracks }))) {
+            setIsConverting(false);
+        }
+    };
+
+    // --- Effects ---
+    // Check auth status on initial load
+    useEffect(() => {
+        checkAuthStatus();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []); // Run only once on initial mount
+
+    // Follows the job stored in localStorage again, after a reload or when polling gave up while offline
+    const resumeActiveJob = useCallback(() => {
+        const activeJobId = localStorage.getItem(ACTIVE_JOB_KEY);
+        if (!activeJobId) return;
+        setIsConverting(true);
+        setJob({ id: activeJobId, status: 'running' });
+        setJobLog([]);
+        pollJob(activeJobId);
+    }, [pollJob]);
+
+    // Requests made while offline failed: repeat the auth check and pick up a job whose polling gave up.
+    // A job still shown here is still being polled and needs no second loop.
+    useEffect(() => {
+        if (isOnline && wasOfflineRef.current) {
+            checkAuthStatus();
+            if (isLoggedIn && !job) {
+                resumeActiveJob();
+            }
+        }
+        wasOfflineRef.current = !isOnline;
+    }, [isOnline, isLoggedIn, job, checkAuthStatus, resumeActiveJob]);
+
+    useEffect(() => {
+        if (!isAuthLoading) {
+            setHasCheckedAuth(true);
+        }
+    }, [isAuthLoading]);
+
+    // Check for auth errors passed via navigation state from AuthCallback
+    useEffect(() => {
+      if (location.state?.authError) {
+          setError(location.state.authError);
+          // Clear the state to avoid showing the error again on refresh
+          window.history.replaceState({}, document.title)
+      }
+    }, [location.state]);
+
+    // Drop everything tied to the session when the user logs out, here or in another tab
+    useEffect(() => onLogout(() => {
+        setError(null);
+        setResults(null);
+        setResultsRecordId(null);
+        setReviewTracks(null);
+        setPendingRequest(null);
+        setFailedRequest(null);
+        // Stop following any running job, it belongs to the logged out user
+        stopPolling();
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        localStorage.removeItem(ACTIVE_JOB_REQUEST_KEY);
+        localStorage.removeItem(ACTIVE_JOB_STARTED_KEY);
+        setJob(null);
+        setJobLog([]);
+        setAnnouncement(null);
+        setIsConverting(false);
+    }), [onLogout]);
+
+    // Reattach to a job that was still running when the page was reloaded
+    useEffect(() => {
+        if (!isLoggedIn) return;
+        resumeActiveJob();
+        return () => stopPolling();
+    }, [isLoggedIn, resumeActiveJob]);
+
+
+    // --- Render Logic ---
+    const title = t('main.title', { source: direction.source.label, destination: direction.destination.label });
+
+    // Show loading indicator while checking auth status initially. Offline the check can't finish,
+    // the saved conversions are shown right away instead.
+    if (!hasCheckedAuth && isOnline) {
+         return (
+            <div className="App">
+                 <header className="App-header">
+                     <h1>{title}</h1>
+                     <LanguageSelect />
+                 </header>
+                 <main>
+                     <p role="status">{t('main.loadingAuth')}</p>
+                 </main>
+            </div>
+        );
+    }
+
+    return (
+        <div className="App">
+            <header className="App-header">
+                <h1>{title}</h1>
+                <LanguageSelect />
+                <nav className="app-nav">
+                    <Link to="/history">{t('nav.history')}</Link>
+                    <Link to="/syncs">{t('nav.syncs')}</Link>
+                    <Link to="/analytics">{t('nav.analytics')}</Link>
+                </nav>
+                {isOnline && hasCheckedAuth && (
+                    <div className="auth-section">
+                        {/* Removed isLoading check here, using isAuthLoading for initial load */}
+                        {isLoggedIn && userData && (
+                            <div className="user-info">
+                                <span>{t('main.loggedInAs')} <strong>{userData.display_name || userData.id}</strong></span>
+                                {/* Logout uses handleLogout directly */}
+                                <button onClick={logout} disabled={isConverting || isBatchRunning}>{t('main.logout')}</button>
+                            </div>
+                        )}
+                        {isLoggedIn && direction.destination.id === 'youtube' && (
+                            <div className="provider-connection">
+                                {isYoutubeConnected ? (
+                                    <>
+                                        <span>{t('main.youtubeConnected')}</span>
+                                        <button onClick={disconnectYoutube} disabled={isConverting || isBatchRunning}>{t('main.disconnect')}</button>
+                                    </>
+                                ) : (
+                                    <button onClick={connectYoutube} disabled={isConverting}>{t('main.connectYoutube')}</button>
+                                )}
+                            </div>
+                        )}
+                        {!isLoggedIn && (
+                            <div className="login-prompt">
+                                <p>{t('main.loginPrompt')}</p>
+                                {/* Login uses handleLogin directly */}
+                                <button onClick={login} disabled={isConverting}>{t('main.login')}</button>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </header>
+
+            <main>
+                <div className="visually-hidden" role="status" aria-live="polite">
+                    {announcement && formatMessage(announcement)}
+                </div>
+
+                {/* Nothing can be converted offline, saved conversions are shown instead. The converter stays
+                    mounted so form input and a running batch survive until the connection is back. */}
+                {!isOnline && <OfflineScreen />}
+
+                <div className="converter" hidden={!isOnline}>
+                    <ErrorMessage
+                        error={shownError}
+                        onRetry={failedRequest && !isConverting ? handleRetryConversion : null}
+                        retryLabel={t('main.retryConversion')}
+                    />
+
+                    <div className="form-group direction-select">
+                        <label htmlFor="conversion_direction">{t('main.directionLabel')}</label>
+                        <select
+                            id="conversion_direction"
+                            value={direction.id}
+                            onChange={handleDirectionChange}
+                            disabled={isConverting || isBatchRunning}
+                        >
+                            {Object.keys(DIRECTIONS).map((id) => {
+                                const option = getDirection(id);
+                                return (
+                                    <option key={id} value={id}>
+                                        {t('main.direction', { source: option.source.label, destination: option.destination.label })}
+                                    </option>
+                                );
+                            })}
+                        </select>
+                        {needsYoutubeConnection && isLoggedIn && (
+                            <small>{t('main.connectYoutubeHint')}</small>
+                        )}
+                    </div>
+
+                    <div className="mode-switch" role="tablist" aria-label={t('main.modeLabel')}>
+                        <button
+                            type="button"
+                            role="tab"
+                            aria-selected={conversionMode === 'single'}
+                            className={conversionMode === 'single' ? 'active' : ''}
+                            onClick={() => setConversionMode('single')}
+                            disabled={isConverting || isBatchRunning}
+                        >
+                            {t('main.modeSingle')}
+                        </button>
+                        <button
+                            type="button"
+                            role="tab"
+                            aria-selected={conversionMode === 'batch'}
+                            className={conversionMode === 'batch' ? 'active' : ''}
+                            onClick={() => setConversionMode('batch')}
+                            disabled={isConverting || isBatchRunning}
+                        >
+                            {t('main.modeBatch')}
+                        </button>
+                    </div>
+
+                    {conversionMode === 'batch' && (
+                        <BatchConversion
+                            isLoggedIn={isLoggedIn && !needsYoutubeConnection}
+                            direction={direction}
+                            onRunningChange={setIsBatchRunning}
+                        />
+                    )}
+
+                    {conversionMode === 'single' && (
+                        <>
+                            <ConversionForm
+                                direction={direction}
+                                isConverting={isConverting}
+                                disabled={needsYoutubeConnection}
+                                resetToken={formResetCount}
+                                prefillUrl={sharedPlaylistUrl}
+                                onSubmit={handleConvert}
+                                onError={setError}
+                            />
+
+                            {job && (
+                                <ConversionProgress
+                                    job={job}
+                                    log={jobLog}
+                                    onCancel={handleCancelJob}
+                                    isCancelling={isCancelling}
+                                />
+                            )}
+
+                            {reviewTracks && (
+                                <TrackReview
+                                    tracks={reviewTracks}
+                                    direction={direction}
+                                    onUpdateTrack={handleUpdateReviewTrack}
+                                    onSearch={handleSearchTracks}
+                                    onConfirm={handleConfirmReview}
+                                    onCancel={() => setReviewTracks(null)}
+                                    isConverting={isConverting}
+                                />
+                            )}
+
+                            {results && (
+                                <ConversionResults
+                                    results={results}
+                                    recordId={resultsRecordId}
+                                    disabled={isConverting}
+                                    onResultsChange={setResults}
+                                    onError={setError}
+                                />
+                            )}
+                        </>
+                    )}
+                </div>
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,103 @@
+import React from 'react';
+import {
+  DEFAULT_MATCHING_OPTIONS,
+  DURATION_TOLERANCE_RANGE,
+  MARKETS,
+  MIN_CONFIDENCE_RANGE,
+} from '../matchingOptions';
+import { useI18n } from '../i18n/I18nContext';
+
+// Collapsible "advanced options" of a conversion form. `onChange` receives the changed fields only.
+export default function MatchingOptionsPanel({ options, onChange, disabled }) {
+    const { t, formatNumber, formatRegion } = useI18n();
+    const isDefault = Object.keys(DEFAULT_MATCHING_OPTIONS).every((key) => options[key] === DEFAULT_MATCHING_OPTIONS[key]);
+
+    return (
+        <details className="matching-options">
+            <summary>{t(isDefault ? 'matching.summary' : 'matching.summaryCustomized')}</summary>
+            <div className="form-group">
+                <label htmlFor="min_confidence">
+                    {t('matching.strictness', { percent: formatNumber(options.min_confidence, { style: 'percent', maximumFractionDigits: 0 }) })}
+                </label>
+                <input
+                    type="range"
+                    id="min_confidence"
+                    min={MIN_CONFIDENCE_RANGE.min}
+                    max={MIN_CONFIDENCE_RANGE.max}
+                    step={MIN_CONFIDENCE_RANGE.step}
+                    value={options.min_confidence}
+                    onChange={(e) => onChange({ min_confidence: parseFloat(e.target.value) })}
+                    disabled={disabled}
+                />
+                <small>{t('matching.strictnessHelp')}</small>
+            </div>
+            <div className="form-group">
+                <label htmlFor="duration_tolerance">{t('matching.durationLabel')}</label>
+                <input
+                    type="number"
+                    id="duration_tolerance"
+                    min={DURATION_TOLERANCE_RANGE.min}
+                    max={DURATION_TOLERANCE_RANGE.max}
+                    value={options.duration_tolerance_seconds}
+                    onChange={(e) => {
+                        // A cleared field keeps the previous value instead of dropping to 0
+                        const seconds = parseInt(e.target.value, 10);
+                        if (!Number.isNaN(seconds)) {
+                            onChange({ duration_tolerance_seconds: seconds });
+                        }
+                    }}
+                    disabled={disabled}
+                />
+                <small>{t('matching.durationHelp')}</small>
+            </div>
+            <div className="form-group">
+                <label htmlFor="market">{t('matching.marketLabel')}</label>
+                <select
+                    id="market"
+                    value={options.market}
+                    onChange={(e) => onChange({ market: e.target.value })}
+                    disabled={disabled}
+                >
+                    {MARKETS.map((code) => (
+                        <option key={code} value={code}>
+                            {code ? t('matching.marketOption', { region: formatRegion(code), code }) : t('matching.marketDefault')}
+                        </option>
+                    ))}
+                </select>
+                <small>{t('matching.marketHelp')}</small>
+            </div>
+            <div className="form-group form-checkbox">
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={options.prefer_original}
+                        onChange={(e) => onChange({ prefer_original: e.target.checked })}
+                        disabled={disabled}
+                    />
+                    {t('matching.preferOriginal')}
+                </label>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={options.ignore_title_noise}
+                        onChange={(e) => onChange({ ignore_title_noise: e.target.checked })}
+                        disabled={disabled}
+                    />
+                    {t('matching.ignoreTitleNoise')}
+                </label>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={options.allow_explicit_substitution}
+                        onChange={(e) => onChange({ allow_explicit_substitution: e.target.checked })}
+                        disabled={disabled}
+                    />
+                    {t('matching.allowExplicitSubstitution')}
+                </label>
+            </div>
+            <button type="button" onClick={() => onChange(DEFAULT_MATCHING_OPTIONS)} disabled={disabled || isDefault}>
+                {t('matching.reset')}
+            </button>
+        </details>
+    );
+}
@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { listConversions } from '../historyStore';
+import { useI18n } from '../i18n/I18nContext';
+import { useListNavigation } from '../useListNavigation';
+
+const RECENT_CONVERSIONS_LIMIT = 10;
+
+// Shown instead of the converter while offline. Converting needs the backend, but every result in the
+// local history can still be opened.
+export default function OfflineScreen() {
+    const { t, formatDate } = useI18n();
+    const [records, setRecords] = useState(null);
+    const getItemProps = useListNavigation(records?.length || 0);
+
+    useEffect(() => {
+        listConversions()
+            .then((list) => setRecords(list.slice(0, RECENT_CONVERSIONS_LIMIT)))
+            .catch((err) => {
+                console.error("Failed to load conversion history while offline:", err);
+                setRecords([]);
+            });
+    }, []);
+
+    return (
+        <div className="offline-screen">
+            <h2>{t('offline.title')}</h2>
+            <p>{t('offline.intro')}</p>
+            {records === null && <p role="status">{t('offline.loading')}</p>}
+            {records?.length === 0 && <p>{t('offline.empty')}</p>}
+            {records?.length > 0 && (
+                <ul className="history-list">
+                    {records.map((record, index) => (
+                        <li key={record.id} className={`history-item status-${record.status}`} {...getItemProps(index)}>
+                            <div className="history-item-main">
+                                <Link to={`/history/${encodeURIComponent(record.id)}`}>
+                                    {record.destination_playlist_name || record.playlist_name || t('history.untitled')}
+                                </Link>
+                                <small>
+                                    {formatDate(record.created_at)}
+                                    {' · '}{t('history.tracksAdded', {
+                                        added: record.tracks_added ?? 0,
+                                        total: record.total_source_tracks ?? t('common.notAvailable'),
+                                    })}
+                                </small>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <Link to="/history">{t('offline.allSaved')}</Link>
+        </div>
+    );
+}
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n/I18nContext';
+import { applyDescriptionTemplate, MAX_DESCRIPTION_LENGTH, prepareCoverImage } from '../playlistMetadata';
+
+// Description, visibility, collaboration and cover settings for a new playlist.
+// `onChange` receives the changed fields only.
+export default function PlaylistMetadataFields({ metadata, onChange, direction, sourceUrl, sourceInfo, disabled }) {
+    const { t, formatMessage, formatDate } = useI18n();
+    // Error from prepareCoverImage, translated by its messageKey
+    const [coverError, setCoverError] = useState(null);
+    const [isPreparingCover, setIsPreparingCover] = useState(false);
+    const isSpotify = direction.destination.id === 'spotify';
+    const description = applyDescriptionTemplate(metadata.descriptionTemplate, {
+        sourceUrl,
+        title: sourceInfo?.title,
+        date: formatDate(new Date(), { dateStyle: 'medium' }),
+    });
+
+    const handleCoverFile = async (event) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        setCoverError(null);
+        setIsPreparingCover(true);
+        try {
+            onChange({ coverSource: 'upload', coverImage: await prepareCoverImage(file), coverFileName: file.name });
+        } catch (err) {
+            setCoverError(err);
+            onChange({ coverImage: null, coverFileName: null });
+        }
+        setIsPreparingCover(false);
+    };
+
+    return (
+        <fieldset className="playlist-metadata">
+            <legend>{t('metadata.legend')}</legend>
+            <div className="form-group">
+                <label htmlFor="playlist_description">{t('metadata.description')}</label>
+                <textarea
+                    id="playlist_description"
+                    rows={2}
+                    value={metadata.descriptionTemplate}
+                    onChange={(e) => onChange({ descriptionTemplate: e.target.value })}
+                    disabled={disabled}
+                />
+                <small>
+                    {t('metadata.descriptionHelp')}
+                    {description && ` ${t('metadata.descriptionPreview', { length: description.length, max: MAX_DESCRIPTION_LENGTH, description })}`}
+                </small>
+            </div>
+            <div className="form-group" role="radiogroup" aria-label={t('metadata.visibilityGroup')}>
+                <label>
+                    <input
+                        type="radio"
+                        name="playlist_visibility"
+                        checked={metadata.isPublic && !(isSpotify && metadata.collaborative)}
+                        onChange={() => onChange({ isPublic: true })}
+                        disabled={disabled || (isSpotify && metadata.collaborative)}
+                    />
+                    {t('metadata.public')}
+                </label>
+                <label>
+                    <input
+                        type="radio"
+                        name="playlist_visibility"
+                        checked={!metadata.isPublic || (isSpotify && metadata.collaborative)}
+                        onChange={() => onChange({ isPublic: false })}
+                        disabled={disabled}
+                    />
+                    {t('metadata.private')}
+                </label>
+                {isSpotify && (
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={metadata.collaborative}
+                            onChange={(e) => onChange({ collaborative: e.target.checked })}
+                            disabled={disabled}
+                        />
+                        {t('metadata.collaborative')}
+                    </label>
+                )}
+            </div>
+            {isSpotify && (
+                <div className="form-group" role="radiogroup" aria-label={t('metadata.coverGroup')}>
+                    <label>
+                        <input
+                            type="radio"
+                            name="cover_source"
+                            checked={metadata.coverSource === 'none'}
+                            onChange={() => onChange({ coverSource: 'none' })}
+                            disabled={disabled}
+                        />
+                        {t('metadata.coverDefault')}
+                    </label>
+                    <label>
+                        <input
+                            type="radio"
+                            name="cover_source"
+                            checked={metadata.coverSource === 'thumbnail'}
+                            onChange={() => onChange({ coverSource: 'thumbnail' })}
+                            disabled={disabled || !sourceInfo?.thumbnail_url}
+                        />
+                        {t('metadata.coverThumbnail', { source: direction.source.label })}
+                        {sourceInfo?.thumbnail_url && <img className="cover-preview" src={sourceInfo.thumbnail_url} alt="" />}
+                    </label>
+                    <label>
+                        <input
+                            type="radio"
+                            name="cover_source"
+                            checked={metadata.coverSource === 'upload'}
+                            onChange={() => onChange({ coverSource: 'upload' })}
+                            disabled={disabled}
+                        />
+                        {t('metadata.coverUpload')}
+                    </label>
+                    {metadata.coverSource === 'upload' && (
+                        <div className="cover-upload">
+                            <input
+                                type="file"
+                                accept="image/jpeg,image/png"
+                                onChange={handleCoverFile}
+                                disabled={disabled || isPreparingCover}
+                                aria-label={t('metadata.coverFile')}
+                            />
+                            {isPreparingCover && <small role="status">{t('metadata.preparingCover')}</small>}
+                            {metadata.coverImage && (
+                                <img className="cover-preview" src={`data:image/jpeg;base64,${metadata.coverImage}`} alt={metadata.coverFileName || t('metadata.coverPreview')} />
+                            )}
+                            {coverError && <small className="input-error" role="alert">{formatMessage(coverError)}</small>}
+                        </div>
+                    )}
+                </div>
+            )}
+        </fieldset>
+    );
+}
@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { useI18n } from '../i18n/I18nContext';
+
+// Lets the user re-run matching for the tracks a conversion could not find,
+// optionally with edited search strings and looser matching
+export default function RetryUnmatched({ tracks, destinationLabel, onRetry, isRetrying, disabled }) {
+    const { t } = useI18n();
+    const [queries, setQueries] = useState(() => tracks.map((track) => track));
+    const [selected, setSelected] = useState(() => tracks.map(() => true));
+    const [looseMatching, setLooseMatching] = useState(false);
+
+    // The not-found list shrinks after each retry, start over from the remaining tracks
+    useEffect(() => {
+        setQueries(tracks.map((track) => track));
+        setSelected(tracks.map(() => true));
+    }, [tracks]);
+
+    const selectedCount = selected.filter(Boolean).length;
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        const retryTracks = tracks
+            .map((track, index) => ({ title: track, query: (queries[index] || '').trim() || track }))
+            .filter((_, index) => selected[index]);
+        onRetry(retryTracks, looseMatching);
+    };
+
+    return (
+        <form className="retry-unmatched" onSubmit={handleSubmit}>
+            <h4>{t('retry.title')}</h4>
+            <p>{t('retry.intro', { destination: destinationLabel })}</p>
+            <ul>
+                {tracks.map((track, index) => (
+                    <li key={`${track}-${index}`}>
+                        <input
+                            type="checkbox"
+                            checked={selected[index] ?? true}
+                            onChange={(e) => setSelected((prev) => prev.map((value, i) => (i === index ? e.target.checked : value)))}
+                            disabled={isRetrying || disabled}
+                            aria-label={t('retry.select', { track })}
+                        />
+                        <input
+                            type="text"
+                            value={queries[index] ?? track}
+                            onChange={(e) => setQueries((prev) => prev.map((value, i) => (i === index ? e.target.value : value)))}
+                            disabled={!selected[index] || isRetrying || disabled}
+                            aria-label={t('retry.query', { track })}
+                        />
+                    </li>
+                ))}
+            </ul>
+            <label className="retry-option">
+                <input
+                    type="checkbox"
+                    checked={looseMatching}
+                    onChange={(e) => setLooseMatching(e.target.checked)}
+                    disabled={isRetrying || disabled}
+                />
+                {t('retry.looseMatching')}
+            </label>
+            <button type="submit" disabled={isRetrying || disabled || selectedCount === 0}>
+                {isRetrying ? t('retry.retrying') : t('retry.submit', { count: selectedCount })}
+            </button>
+        </form>
+    );
+}
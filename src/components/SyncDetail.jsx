@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import * as api from '../api';
+import { useI18n } from '../i18n/I18nContext';
+import { PROVIDERS } from '../providers';
+import { SYNC_SCHEDULES } from '../syncs';
+import ErrorMessage from './ErrorMessage';
+
+const formatTrack = (track) => (track.artist ? `${track.title} - ${track.artist}` : track.title);
+
+// One side of the diff, every track with a checkbox deciding whether the change is applied
+function TrackChangeList({ title, emptyText, tracks, selected, onToggle, disabled }) {
+    const { t } = useI18n();
+    return (
+        <div className="sync-changes">
+            <h4>{t('sync.changeListTitle', { title, count: tracks.length })}</h4>
+            {tracks.length === 0 && <p>{emptyText}</p>}
+            {tracks.length > 0 && (
+                <ul>
+                    {tracks.map((track) => (
+                        <li key={track.id}>
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={selected.has(track.id)}
+                                    onChange={() => onToggle(track.id)}
+                                    disabled={disabled}
+                                />
+                                {formatTrack(track)}
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+const toggleId = (set, id) => {
+    const next = new Set(set);
+    if (next.has(id)) {
+        next.delete(id);
+    } else {
+        next.add(id);
+    }
+    return next;
+};
+
+// Sync view: diffs the source playlist against the destination one and applies only the chosen changes
+export default function SyncDetail() {
+    const { syncId } = useParams();
+    const navigate = useNavigate();
+    const { t, formatDate, formatList } = useI18n();
+    const [sync, setSync] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [selectedAdds, setSelectedAdds] = useState(new Set());
+    const [selectedRemovals, setSelectedRemovals] = useState(new Set());
+    const [isLoading, setIsLoading] = useState(true);
+    const [isChecking, setIsChecking] = useState(false);
+    const [isApplying, setIsApplying] = useState(false);
+    const [applyResult, setApplyResult] = useState(null);
+    // Stopping deletes the sync on the server, the first click only asks for confirmation
+    const [isConfirmingStop, setIsConfirmingStop] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Every new song is preselected; removals only when the sync is set up to mirror deletions,
+    // songs added to the destination by hand show up as removals too
+    const checkForChanges = useCallback(async (currentSync) => {
+        setIsChecking(true);
+        setError(null);
+        try {
+            const nextDiff = await api.getSyncDiff(syncId);
+            setDiff(nextDiff);
+            setSelectedAdds(new Set((nextDiff.added || []).map((track) => track.id)));
+            setSelectedRemovals(new Set(currentSync.remove_missing ? (nextDiff.removed || []).map((track) => track.id) : []));
+        } catch (err) {
+            setError(err);
+        }
+        setIsChecking(false);
+    }, [syncId]);
+
+    useEffect(() => {
+        api.getSync(syncId)
+            .then((loaded) => {
+                setSync(loaded);
+                return checkForChanges(loaded);
+            })
+            .catch((err) => setError(err))
+            .finally(() => setIsLoading(false));
+    }, [syncId, checkForChanges]);
+
+    const handleSettingsChange = async (changes) => {
+        setError(null);
+        try {
+            setSync(await api.updateSync(syncId, changes));
+        } catch (err) {
+            setError(err);
+        }
+    };
+
+    const handleApply = async () => {
+        setIsApplying(true);
+        setError(null);
+        setApplyResult(null);
+        try {
+            const result = await api.applySync(syncId, {
+                addTrackIds: [...selectedAdds],
+                removeTrackIds: [...selectedRemovals],
+            });
+            setApplyResult(result);
+            setSync((prev) => ({ ...prev, last_synced_at: result?.last_synced_at ?? prev.last_synced_at }));
+            await checkForChanges(sync);
+        } catch (err) {
+            setError(err);
+        }
+        setIsApplying(false);
+    };
+
+    const handleStopSyncing = async () => {
+        setError(null);
+        try {
+            await api.deleteSync(syncId);
+            navigate('/syncs');
+        } catch (err) {
+            setError(err);
+            setIsConfirmingStop(false);
+        }
+    };
+
+    const sourceLabel = sync ? (PROVIDERS[sync.source] || PROVIDERS.youtube).label : '';
+    const destinationLabel = sync ? (PROVIDERS[sync.destination] || PROVIDERS.spotify).label : '';
+    const changeCount = selectedAdds.size + selectedRemovals.size;
+    const isBusy = isChecking || isApplying;
+
+    return (
+        <div className="App">
+            <header className="App-header">
+                <h1>{t('sync.detailTitle')}</h1>
+                <nav className="app-nav">
+                    <Link to="/syncs">{t('nav.backToSyncs')}</Link>
+                </nav>
+            </header>
+            <main>
+                <ErrorMessage error={error} />
+                {isLoading && <p role="status">{t('sync.loadingDetail')}</p>}
+                {sync && (
+                    <div className="results-section">
+                        <p>
+                            <a href={sync.source_url} target="_blank" rel="noopener noreferrer">{t('sync.sourceLink', { source: sourceLabel })}</a>
+                            {' → '}
+                            <a href={sync.destination_playlist_url} target="_blank" rel="noopener noreferrer">
+                                {sync.destination_playlist_name || t('sync.destinationFallback', { destination: destinationLabel })}
+                            </a>
+                        </p>
+                        <p>
+                            {sync.last_synced_at
+                                ? t('sync.lastSyncedSentence', { date: formatDate(sync.last_synced_at) })
+                                : t('sync.notSyncedSentence')}
+                            {sync.schedule !== 'manual' && sync.next_sync_at && ` ${t('sync.nextSync', { date: formatDate(sync.next_sync_at) })}`}
+                        </p>
+                        {sync.last_result?.error && <p className="history-error">{t('sync.lastRunFailed', { error: sync.last_result.error })}</p>}
+
+                        <div className="sync-settings">
+                            <div className="form-group">
+                                <label htmlFor="sync_schedule">{t('sync.scheduleLabel')}</label>
+                                <select
+                                    id="sync_schedule"
+                                    value={sync.schedule}
+                                    onChange={(e) => handleSettingsChange({ schedule: e.target.value })}
+                                    disabled={isBusy}
+                                >
+                                    {SYNC_SCHEDULES.map((value) => (
+                                        <option key={value} value={value}>{t(`sync.schedule.${value}`)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <label className="retry-option">
+                                <input
+                                    type="checkbox"
+                                    checked={Boolean(sync.remove_missing)}
+                                    onChange={(e) => handleSettingsChange({ remove_missing: e.target.checked })}
+                                    disabled={isBusy}
+                                />
+                                {t('sync.scheduledRemoval')}
+                            </label>
+                        </div>
+
+                        <h3>{t('sync.changesTitle')}</h3>
+                        {isChecking && <p role="status">{t('sync.comparing')}</p>}
+                        {diff && !isChecking && (
+                            <>
+                                <TrackChangeList
+                                    title={t('sync.addedTitle', { source: sourceLabel })}
+                                    emptyText={t('sync.noAdded')}
+                                    tracks={diff.added || []}
+                                    selected={selectedAdds}
+                                    onToggle={(id) => setSelectedAdds((prev) => toggleId(prev, id))}
+                                    disabled={isApplying}
+                                />
+                                <TrackChangeList
+                                    title={t('sync.removedTitle', { source: sourceLabel })}
+                                    emptyText={t('sync.noRemoved')}
+                                    tracks={diff.removed || []}
+                                    selected={selectedRemovals}
+                                    onToggle={(id) => setSelectedRemovals((prev) => toggleId(prev, id))}
+                                    disabled={isApplying}
+                                />
+                            </>
+                        )}
+                        {applyResult && (
+                            <p className="sync-result" role="status">
+                                {t('sync.applied', { added: applyResult.tracks_added ?? 0, removed: applyResult.tracks_removed ?? 0 })}
+                                {applyResult.not_found_tracks?.length > 0 && (
+                                    ` ${t('sync.notFoundOn', { destination: destinationLabel, tracks: formatList(applyResult.not_found_tracks) })}`
+                                )}
+                            </p>
+                        )}
+                        <div className="history-detail-actions">
+                            <button type="button" onClick={handleApply} disabled={isBusy || changeCount === 0}>
+                                {isApplying ? t('sync.applying') : t('sync.apply', { count: changeCount })}
+                            </button>
+                            <button type="button" onClick={() => checkForChanges(sync)} disabled={isBusy}>
+                                {t('sync.checkAgain')}
+                            </button>
+                            {!isConfirmingStop && (
+                                <button type="button" onClick={() => setIsConfirmingStop(true)} disabled={isBusy}>
+                                    {t('sync.stop')}
+                                </button>
+                            )}
+                        </div>
+                        {isConfirmingStop && (
+                            <div className="history-detail-actions" role="alert">
+                                <p>{t('sync.stopConfirm', { source: sourceLabel, destination: destinationLabel })}</p>
+                                <button type="button" onClick={handleStopSyncing} disabled={isBusy}>
+                                    {t('sync.stopConfirmYes')}
+                                </button>
+                                <button type="button" onClick={() => setIsConfirmingStop(false)}>
+                                    {t('sync.stopCancel')}
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
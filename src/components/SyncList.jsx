@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import * as api from '../api';
+import { useI18n } from '../i18n/I18nContext';
+import { PROVIDERS } from '../providers';
+import { SYNC_SCHEDULES } from '../syncs';
+import { useListNavigation } from '../useListNavigation';
+import ErrorMessage from './ErrorMessage';
+
+// --- Synced Playlists ---
+// Lists the source-to-destination pairings stored on the backend
+export default function SyncList() {
+    const { t, formatDate } = useI18n();
+    const [syncs, setSyncs] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const getItemProps = useListNavigation(syncs.length);
+
+    useEffect(() => {
+        api.listSyncs()
+            .then(setSyncs)
+            .catch((err) => setError(err))
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    return (
+        <div className="App">
+            <header className="App-header">
+                <h1>{t('sync.listTitle')}</h1>
+                <nav className="app-nav">
+                    <Link to="/">{t('nav.converter')}</Link>
+                </nav>
+            </header>
+            <main>
+                <ErrorMessage error={error} />
+                {isLoading && <p role="status">{t('sync.loadingList')}</p>}
+                {!isLoading && !error && syncs.length === 0 && (
+                    <p>{t('sync.emptyList')}</p>
+                )}
+                {syncs.length > 0 && (
+                    <ul className="history-list">
+                        {syncs.map((sync, index) => (
+                            <li
+                                key={sync.id}
+                                className={`history-item${sync.last_result?.error ? ' status-partial' : ''}`}
+                                {...getItemProps(index)}
+                            >
+                                <div className="history-item-main">
+                                    <Link to={`/syncs/${encodeURIComponent(sync.id)}`}>
+                                        {sync.destination_playlist_name || sync.destination_playlist_url}
+                                    </Link>
+                                    <small>
+                                        {t('main.direction', {
+                                            source: (PROVIDERS[sync.source] || PROVIDERS.youtube).shortLabel,
+                                            destination: (PROVIDERS[sync.destination] || PROVIDERS.spotify).shortLabel,
+                                        })}
+                                        {' · '}{SYNC_SCHEDULES.includes(sync.schedule) ? t(`sync.schedule.${sync.schedule}`) : sync.schedule}
+                                        {' · '}{sync.last_synced_at
+                                            ? t('sync.lastSynced', { date: formatDate(sync.last_synced_at) })
+                                            : t('sync.notSynced')}
+                                    </small>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </main>
+        </div>
+    );
+}
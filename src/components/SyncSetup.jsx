@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import * as api from '../api';
+import { useAuth } from '../auth/AuthContext';
+import { useI18n } from '../i18n/I18nContext';
+import { useMatchingOptions } from '../matchingOptions';
+import { PROVIDERS } from '../providers';
+import { SYNC_SCHEDULES, DEFAULT_SYNC_SCHEDULE, buildSyncPayload } from '../syncs';
+import ErrorMessage from './ErrorMessage';
+
+// Turns a finished conversion into a synced one, so later changes to the source playlist reach the
+// playlist that was already created instead of a new one. `syncId` is set once the conversion is synced.
+export default function SyncSetup({ conversion, syncId, onCreated, disabled }) {
+    const { userData } = useAuth();
+    const { t } = useI18n();
+    const [matchingOptions] = useMatchingOptions(userData?.id);
+    const [schedule, setSchedule] = useState(DEFAULT_SYNC_SCHEDULE);
+    const [removeMissing, setRemoveMissing] = useState(false);
+    const [isCreating, setIsCreating] = useState(false);
+    const [error, setError] = useState(null);
+    const sourceLabel = (PROVIDERS[conversion.source] || PROVIDERS.youtube).label;
+
+    if (syncId) {
+        return (
+            <div className="sync-setup">
+                <p>
+                    {t('sync.isSynced', { source: sourceLabel })}{' '}
+                    <Link to={`/syncs/${encodeURIComponent(syncId)}`}>{t('sync.view')}</Link>
+                </p>
+            </div>
+        );
+    }
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        setIsCreating(true);
+        setError(null);
+        try {
+            const sync = await api.createSync(buildSyncPayload(conversion, { schedule, removeMissing, matchingOptions }));
+            onCreated(sync);
+        } catch (err) {
+            setError(err);
+        }
+        setIsCreating(false);
+    };
+
+    return (
+        <form className="sync-setup" onSubmit={handleSubmit}>
+            <h4>{t('sync.setupTitle')}</h4>
+            <p>{t('sync.setupIntro', { source: sourceLabel })}</p>
+            <ErrorMessage error={error} />
+            <div className="form-group">
+                <label htmlFor="sync_schedule">{t('sync.scheduleLabel')}</label>
+                <select
+                    id="sync_schedule"
+                    value={schedule}
+                    onChange={(e) => setSchedule(e.target.value)}
+                    disabled={isCreating || disabled}
+                >
+                    {SYNC_SCHEDULES.map((value) => (
+                        <option key={value} value={value}>{t(`sync.schedule.${value}`)}</option>
+                    ))}
+                </select>
+            </div>
+            <label className="retry-option">
+                <input
+                    type="checkbox"
+                    checked={removeMissing}
+                    onChange={(e) => setRemoveMissing(e.target.checked)}
+                    disabled={isCreating || disabled}
+                />
+                {t('sync.removeMissing')}
+            </label>
+            <button type="submit" disabled={isCreating || disabled}>
+                {isCreating ? t('sync.creating') : t('sync.create')}
+            </button>
+        </form>
+    );
+}
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n/I18nContext';
+
+// Matches below this confidence (0-1) are highlighted in the review table
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// Review table shown between fetching the proposed matches and creating the playlist.
+// Each row holds the parsed YouTube track, its Spotify candidates and the user's choice.
+export default function TrackReview({ tracks, direction, onUpdateTrack, onSearch, onConfirm, onCancel, isConverting }) {
+    const { t, formatNumber } = useI18n();
+    const [searchQueries, setSearchQueries] = useState({});
+    const [searchingIndex, setSearchingIndex] = useState(null);
+
+    const keptCount = tracks.filter((track) => !track.dropped && track.selectedUri).length;
+
+    const handleSearch = async (index) => {
+        const query = (searchQueries[index] ?? tracks[index].query ?? '').trim();
+        if (!query) return;
+        setSearchingIndex(index);
+        const candidates = await onSearch(query);
+        setSearchingIndex(null);
+        if (!candidates || candidates.length === 0) return;
+        // Manual results go first; keep existing candidates that weren't returned again
+        const known = new Set(candidates.map((candidate) => candidate.uri));
+        onUpdateTrack(index, {
+            candidates: [...candidates, ...tracks[index].candidates.filter((candidate) => !known.has(candidate.uri))],
+            selectedUri: candidates[0].uri,
+            dropped: false,
+        });
+    };
+
+    const formatConfidence = (candidate) => (
+        typeof candidate?.confidence === 'number'
+            ? formatNumber(candidate.confidence, { style: 'percent', maximumFractionDigits: 0 })
+            : t('common.notAvailable')
+    );
+
+    return (
+        <div className="review-section">
+            <h2>{t('review.title')}</h2>
+            <p>{t('review.intro', { destination: direction.destination.label })}</p>
+            <table className="review-table">
+                <thead>
+                    <tr>
+                        <th>{t('review.sourceColumn', { source: direction.source.label })}</th>
+                        <th>{t('review.matchColumn', { destination: direction.destination.label })}</th>
+                        <th>{t('review.confidenceColumn')}</th>
+                        <th>{t('review.actionsColumn')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {tracks.map((track, index) => {
+                        const selected = track.candidates.find((candidate) => candidate.uri === track.selectedUri);
+                        const isLowConfidence = !selected || (typeof selected.confidence === 'number' && selected.confidence < LOW_CONFIDENCE_THRESHOLD);
+                        return (
+                            <tr key={track.id ?? index} className={`${track.dropped ? 'dropped' : ''} ${!track.dropped && isLowConfidence ? 'low-confidence' : ''}`}>
+                                <td>{track.title}{track.artist ? ` - ${track.artist}` : ''}</td>
+                                <td>
+                                    {track.candidates.length > 0 ? (
+                                        <select
+                                            value={track.selectedUri || ''}
+                                            onChange={(e) => onUpdateTrack(index, { selectedUri: e.target.value || null })}
+                                            disabled={track.dropped || isConverting}
+                                            aria-label={t('review.matchFor', { destination: direction.destination.label, track: track.title })}
+                                        >
+                                            <option value="">{t('review.noMatch')}</option>
+                                            {track.candidates.map((candidate) => (
+                                                <option key={candidate.uri} value={candidate.uri}>
+                                                    {candidate.name} - {(candidate.artists || []).join(', ')}{candidate.album ? ` (${candidate.album})` : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        <span>{t('review.noCandidates')}</span>
+                                    )}
+                                    <div className="review-search">
+                                        <input
+                                            type="text"
+                                            value={searchQueries[index] ?? track.query ?? ''}
+                                            onChange={(e) => setSearchQueries((prev) => ({ ...prev, [index]: e.target.value }))}
+                                            disabled={track.dropped || isConverting}
+                                            aria-label={t('review.searchFor', { destination: direction.destination.label, track: track.title })}
+                                        />
+                                        <button type="button" onClick={() => handleSearch(index)} disabled={track.dropped || isConverting || searchingIndex !== null}>
+                                            {searchingIndex === index ? t('review.searching') : t('review.search')}
+                                        </button>
+                                    </div>
+                                </td>
+                                <td>{formatConfidence(selected)}</td>
+                                <td>
+                                    <button type="button" onClick={() => onUpdateTrack(index, { dropped: !track.dropped })} disabled={isConverting}>
+                                        {track.dropped ? t('review.restore') : t('review.drop')}
+                                    </button>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            <div className="review-actions">
+                <button type="button" onClick={onCancel} disabled={isConverting}>{t('review.cancel')}</button>
+                <button type="button" onClick={onConfirm} disabled={isConverting || keptCount === 0}>
+                    {isConverting ? t('review.creating') : t('review.confirm', { count: keptCount })}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,8 @@
+// --- Constants ---
+// Vite uses import.meta.env.VITE_ for environment variables
+export const API_BASE_URL = import.meta.env.VITE_BACKEND_API_BASE_URL || '';
+// Web Vitals metrics are POSTed here as JSON when set, e.g. "/api/vitals"; unset keeps reporting off
+export const WEB_VITALS_ENDPOINT = import.meta.env.VITE_WEB_VITALS_ENDPOINT || '';
+// Conversion jobs are polled for progress until they reach a terminal status
+export const JOB_POLL_INTERVAL_MS = 1500;
+export const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
@@ -0,0 +1,127 @@
+import { formatProblem } from './trackDiagnostics';
+
+// --- Conversion Analytics ---
+// Aggregates the history records of past conversions (see buildConversionRecord) for the analytics dashboard.
+// Everything is computed on the device from the local history, including entries synced from the server.
+
+// Entries shown in each "most common" list
+const TOP_ENTRIES_LIMIT = 10;
+// A track or artist counts as repeatedly failing once it went unmatched in this many conversions
+const REPEATED_FAILURE_MIN_CONVERSIONS = 2;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Day of a timestamp in local time as YYYY-MM-DD, so conversions group by the day the user saw them
+const getDayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const getMatchRate = (found, total) => (total > 0 ? found / total : null);
+
+// Match rates are only meaningful for conversions that report both counters
+const hasTrackCounts = (record) => record.total_source_tracks > 0 && typeof record.found_destination_tracks === 'number';
+
+// The same error about different tracks is one reason: quoted titles and trailing details are dropped,
+// structured errors group by their code
+const getFailureReason = (apiError) => {
+  if (apiError && typeof apiError === 'object') {
+    const label = formatProblem(apiError);
+    return { key: apiError.code ? `code:${apiError.code}` : (label.messageKey || label), label };
+  }
+  const label = String(apiError).replace(/(['"]).+?\1/g, '"…"').trim();
+  return { key: label, label };
+};
+
+// Artist part of a "Title - Artist" label, as built by the backend for not-found tracks
+const getArtistFromLabel = (label) => {
+  const separatorIndex = label.lastIndexOf(' - ');
+  return separatorIndex > 0 ? label.slice(separatorIndex + 3).trim() : null;
+};
+
+// Highest counts first, ties in alphabetical order so the lists don't jump between renders
+const toRanking = (counts, minCount = 1) => [...counts.entries()]
+  .map(([label, count]) => ({ label, count }))
+  .filter((entry) => entry.count >= minCount)
+  .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+  .slice(0, TOP_ENTRIES_LIMIT);
+
+// Counts every label once per conversion
+const countPerConversion = (records, getLabels) => {
+  const counts = new Map();
+  records.forEach((record) => {
+    new Set(getLabels(record).filter(Boolean)).forEach((label) => counts.set(label, (counts.get(label) || 0) + 1));
+  });
+  return counts;
+};
+
+// One point per day with conversions, oldest first: { day, conversions, total, found, rate }.
+// `rate` is null on days without track counts.
+export const getMatchRateByDay = (records) => {
+  const days = new Map();
+  records.forEach((record) => {
+    const day = getDayKey(record.created_at);
+    const point = days.get(day) || { day, conversions: 0, total: 0, found: 0 };
+    point.conversions += 1;
+    if (hasTrackCounts(record)) {
+      point.total += record.total_source_tracks;
+      point.found += record.found_destination_tracks;
+    }
+    days.set(day, point);
+  });
+  return [...days.values()]
+    .sort((a, b) => a.day.localeCompare(b.day))
+    .map((point) => ({ ...point, rate: getMatchRate(point.found, point.total) }));
+};
+
+// Most common problems reported in `api_errors` and per-track errors: [{ label, count }].
+// Labels are strings or, for errors without a message, localizedMessages (see formatProblem).
+export const getFailureReasons = (records) => {
+  const labels = new Map();
+  const counts = new Map();
+  records.forEach((record) => {
+    const trackErrors = (record.tracks || []).map((track) => track.error).filter(Boolean);
+    [...(record.api_errors || []), ...trackErrors].forEach((apiError) => {
+      const { key, label } = getFailureReason(apiError);
+      if (!labels.has(key)) {
+        labels.set(key, label);
+      }
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+  return toRanking(counts).map(({ label: key, count }) => ({ label: labels.get(key), count }));
+};
+
+// Tracks and artists that went unmatched in more than one conversion: { tracks, artists }, each [{ label, count }]
+export const getRepeatedFailures = (records) => ({
+  tracks: toRanking(
+    countPerConversion(records, (record) => record.not_found_tracks || []),
+    REPEATED_FAILURE_MIN_CONVERSIONS,
+  ),
+  artists: toRanking(
+    countPerConversion(records, (record) => (record.not_found_tracks || []).map(getArtistFromLabel)),
+    REPEATED_FAILURE_MIN_CONVERSIONS,
+  ),
+});
+
+// Mean duration in milliseconds of the conversions that recorded one, or null
+export const getAverageDuration = (records) => {
+  const durations = records.map((record) => record.duration_ms).filter((duration) => typeof duration === 'number' && duration >= 0);
+  return durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : null;
+};
+
+// Everything the dashboard shows, from history records in any order
+export const buildConversionAnalytics = (records) => {
+  const counted = records.filter(hasTrackCounts);
+  const total = counted.reduce((sum, record) => sum + record.total_source_tracks, 0);
+  const found = counted.reduce((sum, record) => sum + record.found_destination_tracks, 0);
+  return {
+    conversions: records.length,
+    tracksAdded: records.reduce((sum, record) => sum + (record.tracks_added || 0), 0),
+    matchRate: getMatchRate(found, total),
+    averageDurationMs: getAverageDuration(records),
+    matchRateByDay: getMatchRateByDay(records),
+    failureReasons: getFailureReasons(records),
+    repeatedFailures: getRepeatedFailures(records),
+  };
+};
@@ -0,0 +1,76 @@
+import { buildConversionAnalytics } from './conversionAnalytics';
+
+const record = (overrides) => ({
+  created_at: '2026-10-01T12:00:00',
+  total_source_tracks: 10,
+  found_destination_tracks: 8,
+  tracks_added: 8,
+  not_found_tracks: [],
+  api_errors: [],
+  tracks: [],
+  duration_ms: null,
+  ...overrides,
+});
+
+describe('buildConversionAnalytics', () => {
+  test('aggregates match rates per day and overall', () => {
+    const analytics = buildConversionAnalytics([
+      record({ created_at: '2026-10-02T09:00:00', found_destination_tracks: 5, tracks_added: 5 }),
+      record({ created_at: '2026-10-01T12:00:00' }),
+      record({ created_at: '2026-10-01T18:00:00', found_destination_tracks: 10, tracks_added: 10 }),
+      // Failed before the playlist was read, it counts as a conversion but not towards the rate
+      record({ created_at: '2026-10-02T10:00:00', total_source_tracks: null, found_destination_tracks: null, tracks_added: null }),
+    ]);
+
+    expect(analytics.conversions).toBe(4);
+    expect(analytics.tracksAdded).toBe(23);
+    expect(analytics.matchRate).toBeCloseTo(23 / 30);
+    expect(analytics.matchRateByDay).toEqual([
+      { day: '2026-10-01', conversions: 2, total: 20, found: 18, rate: 0.9 },
+      { day: '2026-10-02', conversions: 2, total: 10, found: 5, rate: 0.5 },
+    ]);
+  });
+
+  test('groups failure reasons across tracks and conversions', () => {
+    const analytics = buildConversionAnalytics([
+      record({
+        api_errors: [
+          "Search failed for 'First Song - Band': 500",
+          { track: 'Second Song - Band', message: 'Could not add track', code: 'add_failed' },
+        ],
+        tracks: [{ title: 'Third Song', status: 'error', error: 'Search timed out' }],
+      }),
+      record({
+        api_errors: [
+          "Search failed for 'Other Song - Singer': 500",
+          { track: 'Other Song - Singer', message: 'Track could not be added', code: 'add_failed' },
+        ],
+      }),
+    ]);
+
+    expect(analytics.failureReasons).toEqual([
+      { label: 'Could not add track (add_failed)', count: 2 },
+      { label: 'Search failed for "…": 500', count: 2 },
+      { label: 'Search timed out', count: 1 },
+    ]);
+  });
+
+  test('lists tracks and artists that failed in more than one conversion', () => {
+    const analytics = buildConversionAnalytics([
+      record({ not_found_tracks: ['Lost Song - Nobody', 'Rare Song - Nobody'] }),
+      record({ not_found_tracks: ['Lost Song - Nobody'] }),
+      record({ not_found_tracks: ['Once Song - Somebody'] }),
+    ]);
+
+    expect(analytics.repeatedFailures).toEqual({
+      tracks: [{ label: 'Lost Song - Nobody', count: 2 }],
+      artists: [{ label: 'Nobody', count: 2 }],
+    });
+  });
+
+  test('averages the recorded conversion durations', () => {
+    expect(buildConversionAnalytics([record({ duration_ms: 30000 }), record({ duration_ms: 90000 }), record()]).averageDurationMs)
+      .toBe(60000);
+    expect(buildConversionAnalytics([record()]).averageDurationMs).toBeNull();
+  });
+});
@@ -0,0 +1,159 @@
+import { normalizeResults } from './providers';
+
+// --- Conversion Result Export ---
+// Builds CSV/JSON reports and M3U/XSPF playlists from a `results` object, entirely client-side.
+
+// spotify:track:<id> -> https://open.spotify.com/track/<id>
+const spotifyUriToUrl = (uri) => {
+  const [, type, id] = uri.split(':');
+  return type && id ? `https://open.spotify.com/${type}/${id}` : uri;
+};
+
+// Per-track rows. Newer backends send `results.tracks`; older ones only list the misses,
+// in which case the report contains just the not-found tracks.
+// Spotify-destination tracks carry spotify_* fields, other destinations destination_* ones.
+export const getTrackRows = (results) => {
+  if (Array.isArray(results?.tracks) && results.tracks.length > 0) {
+    return results.tracks.map((track) => {
+      const matchUri = track.destination_uri || track.spotify_uri || '';
+      return {
+        title: track.title || '',
+        artist: track.artist || '',
+        status: track.status || (matchUri ? 'matched' : 'not_found'),
+        match_uri: matchUri,
+        match_url: track.destination_url || (track.spotify_uri ? spotifyUriToUrl(track.spotify_uri) : ''),
+        match_name: track.destination_name || track.spotify_name || '',
+        match_artists: (track.destination_artists || track.spotify_artists || []).join(', '),
+        duration_ms: track.duration_ms ?? '',
+      };
+    });
+  }
+  return (results?.not_found_tracks || []).map((title) => ({
+    title,
+    artist: '',
+    status: 'not_found',
+    match_uri: '',
+    match_url: '',
+    match_name: '',
+    match_artists: '',
+    duration_ms: '',
+  }));
+};
+
+const CSV_COLUMNS = ['title', 'artist', 'status', 'match_uri', 'match_url', 'match_name', 'match_artists', 'duration_ms'];
+
+const escapeCSV = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const buildCSV = (results) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  getTrackRows(results).forEach((row) => {
+    lines.push(CSV_COLUMNS.map((column) => escapeCSV(row[column])).join(','));
+  });
+  return lines.join('\r\n');
+};
+
+export const buildJSON = (rawResults) => {
+  const results = normalizeResults(rawResults);
+  return JSON.stringify({
+    exported_at: new Date().toISOString(),
+    source: results?.source || null,
+    destination: results?.destination || null,
+    destination_playlist_name: results?.destination_playlist_name || null,
+    destination_playlist_url: results?.destination_playlist_url || null,
+    total_source_tracks: results?.total_source_tracks ?? null,
+    found_destination_tracks: results?.found_destination_tracks ?? null,
+    tracks_added: results?.tracks_added ?? null,
+    api_errors: results?.api_errors || [],
+    tracks: getTrackRows(results),
+  }, null, 2);
+};
+
+const getMatchedRows = (results) => getTrackRows(results).filter((row) => row.status === 'matched' && (row.match_url || row.match_uri));
+
+export const buildM3U = (results) => {
+  const lines = ['#EXTM3U'];
+  const playlistName = normalizeResults(results)?.destination_playlist_name;
+  if (playlistName) {
+    lines.push(`#PLAYLIST:${playlistName}`);
+  }
+  getMatchedRows(results).forEach((row) => {
+    const seconds = row.duration_ms !== '' ? Math.round(row.duration_ms / 1000) : -1;
+    const artist = row.match_artists || row.artist;
+    lines.push(`#EXTINF:${seconds},${artist ? `${artist} - ` : ''}${row.match_name || row.title}`);
+    lines.push(row.match_url || row.match_uri);
+  });
+  return lines.join('\n');
+};
+
+const escapeXML = (value) => String(value ?? '').replace(/[&<>"']/g, (match) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+}[match]));
+
+export const buildXSPF = (results) => {
+  const tracks = getMatchedRows(results).map((row) => [
+    '    <track>',
+    `      <location>${escapeXML(row.match_url || row.match_uri)}</location>`,
+    row.match_uri ? `      <identifier>${escapeXML(row.match_uri)}</identifier>` : null,
+    `      <title>${escapeXML(row.match_name || row.title)}</title>`,
+    (row.match_artists || row.artist) ? `      <creator>${escapeXML(row.match_artists || row.artist)}</creator>` : null,
+    row.duration_ms !== '' ? `      <duration>${row.duration_ms}</duration>` : null,
+    '    </track>',
+  ].filter(Boolean).join('\n'));
+  const playlistName = normalizeResults(results)?.destination_playlist_name;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    playlistName ? `  <title>${escapeXML(playlistName)}</title>` : null,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+  ].filter((line) => line !== null).join('\n');
+};
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv', build: buildCSV },
+  json: { extension: 'json', mimeType: 'application/json', build: buildJSON },
+  m3u: { extension: 'm3u', mimeType: 'audio/x-mpegurl', build: buildM3U },
+  xspf: { extension: 'xspf', mimeType: 'application/xspf+xml', build: buildXSPF },
+};
+
+// Filesystem-safe base name derived from the playlist name
+export const getExportFileName = (results, extension) => {
+  const base = (normalizeResults(results)?.destination_playlist_name || 'playlist-conversion')
+    .replace(/[^\w\- ]+/g, '')
+    .trim()
+    .replace(/\s+/g, '-') || 'playlist-conversion';
+  return `${base}.${extension}`;
+};
+
+// How long a download's object URL stays valid after the click
+const DOWNLOAD_URL_LIFETIME_MS = 10 * 1000;
+
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download only after click() returns, revoking right away can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+};
+
+export const exportResults = (results, format) => {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  downloadFile(exportFormat.build(results), getExportFileName(results, exportFormat.extension), exportFormat.mimeType);
+};
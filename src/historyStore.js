@@ -0,0 +1,118 @@
+import { normalizeResults } from './providers';
+
+// --- Conversion History Storage (IndexedDB) ---
+// Every finished conversion is stored locally so results survive the next conversion, logout and reloads.
+const DB_NAME = 'playlist-converter';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversions';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) {
+    return dbPromise;
+  }
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('created_at', 'created_at');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  // Allow a later call to try again if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+};
+
+// Runs `callback(store)` in a transaction and resolves with the value of the request it returns
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const generateId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// success: playlist created and every track found; partial: created with misses or errors; failed: no playlist
+export const getConversionStatus = (results, error) => {
+  if (!normalizeResults(results)?.destination_playlist_url) return 'failed';
+  if (error || results.not_found_tracks?.length > 0 || results.api_errors?.length > 0) return 'partial';
+  return 'success';
+};
+
+// Builds a history record from the conversion request and the results object returned by the backend.
+// `durationMs` is how long the conversion job ran, as measured by the app.
+export const buildConversionRecord = ({ sourceUrl, playlistName, results: rawResults, error, durationMs }) => {
+  const results = normalizeResults(rawResults);
+  return {
+    id: generateId(),
+    created_at: new Date().toISOString(),
+    origin: 'local',
+    source: results?.source || 'youtube',
+    destination: results?.destination || 'spotify',
+    source_url: sourceUrl || results?.source_url || '',
+    playlist_name: playlistName || results?.destination_playlist_name || '',
+    destination_playlist_url: results?.destination_playlist_url || null,
+    destination_playlist_name: results?.destination_playlist_name || null,
+    total_source_tracks: results?.total_source_tracks ?? null,
+    found_destination_tracks: results?.found_destination_tracks ?? null,
+    tracks_added: results?.tracks_added ?? null,
+    not_found_tracks: results?.not_found_tracks || [],
+    api_errors: results?.api_errors || [],
+    // Per-track match details, when the backend provides them (used by exports)
+    tracks: results?.tracks || [],
+    // Description, visibility and cover chosen for a newly created playlist
+    playlist_settings: results?.playlist_settings || null,
+    error: error || null,
+    status: getConversionStatus(results, error),
+    duration_ms: durationMs ?? null,
+  };
+};
+
+export const saveConversion = async (record) => {
+  await withStore('readwrite', (store) => store.put(record));
+  return record;
+};
+
+// Newest first. Records saved before the generic result keys existed are normalized on the way out.
+export const listConversions = async () => {
+  const records = await withStore('readonly', (store) => store.getAll());
+  return (records || []).map(normalizeResults).sort((a, b) => b.created_at.localeCompare(a.created_at));
+};
+
+export const getConversion = async (id) => normalizeResults(await withStore('readonly', (store) => store.get(id)));
+
+// Merges `changes` into a stored record, e.g. the sync_id once a conversion is kept in sync.
+// Resolves with the updated record, or null if it is no longer in the history.
+export const updateConversion = async (id, changes) => {
+  const record = await withStore('readonly', (store) => store.get(id));
+  return record ? saveConversion({ ...record, ...changes }) : null;
+};
+
+export const deleteConversion = (id) => withStore('readwrite', (store) => store.delete(id));
+
+// Stores records fetched from the backend, overwriting local copies with the same id
+export const mergeConversions = (records) => withStore('readwrite', (store) => {
+  records.forEach((record) => store.put({ ...record, origin: 'server' }));
+  return null;
+});
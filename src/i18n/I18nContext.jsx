@@ -0,0 +1,61 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+    LOCALES,
+    formatDateTime,
+    formatList,
+    formatNumber,
+    formatRegion,
+    resolveLocale,
+    translate,
+    translateMessage,
+} from './translate';
+
+// --- I18n Context ---
+// Holds the UI language. Components read `t` and the locale-aware formatters with useI18n().
+const I18nContext = createContext(null);
+
+// An explicit choice wins over the browser languages
+const LOCALE_KEY = 'ui_locale';
+
+const getInitialLocale = () => {
+    const stored = localStorage.getItem(LOCALE_KEY);
+    if (LOCALES[stored]) return stored;
+    return resolveLocale(navigator.languages?.length ? navigator.languages : [navigator.language]);
+};
+
+export function I18nProvider({ children }) {
+    const [locale, setLocaleState] = useState(getInitialLocale);
+
+    // Screen readers pick their pronunciation from the document language
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    const setLocale = useCallback((nextLocale) => {
+        if (!LOCALES[nextLocale]) return;
+        localStorage.setItem(LOCALE_KEY, nextLocale);
+        setLocaleState(nextLocale);
+    }, []);
+
+    const value = useMemo(() => ({
+        locale,
+        setLocale,
+        t: (key, params) => translate(locale, key, params),
+        // Strings, localizedMessage() objects and errors with a messageKey alike
+        formatMessage: (message) => translateMessage(locale, message),
+        formatNumber: (number, options) => formatNumber(locale, number, options),
+        formatDate: (date, options) => formatDateTime(locale, date, options),
+        formatList: (items) => formatList(locale, items),
+        formatRegion: (regionCode) => formatRegion(locale, regionCode),
+    }), [locale, setLocale]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = () => {
+    const context = useContext(I18nContext);
+    if (!context) {
+        throw new Error('useI18n must be used inside an I18nProvider.');
+    }
+    return context;
+};
@@ -0,0 +1,461 @@
+// --- German Messages ---
+// Mirrors the keys of en.js; anything missing here is shown in English.
+const de = {
+  common: {
+    notAvailable: 'k. A.',
+    language: 'Sprache:',
+  },
+
+  main: {
+    title: 'Playlist-Konverter: {source} zu {destination}',
+    loadingAuth: 'Anmeldestatus wird geladen...',
+    loggedInAs: 'Angemeldet als',
+    logout: 'Abmelden',
+    youtubeConnected: 'YouTube Music verbunden',
+    disconnect: 'Trennen',
+    connectYoutube: 'YouTube Music verbinden',
+    loginPrompt: 'Melde dich mit Spotify an, um Playlists zu konvertieren.',
+    login: 'Mit Spotify anmelden',
+    retryConversion: 'Konvertierung wiederholen',
+    directionLabel: 'Konvertieren:',
+    direction: '{source} zu {destination}',
+    connectYoutubeHint: 'Verbinde oben YouTube Music, um dort Playlists zu erstellen.',
+    modeLabel: 'Konvertierungsmodus',
+    modeSingle: 'Einzelne Playlist',
+    modeBatch: 'Stapel',
+    conversionCancelled: 'Konvertierung abgebrochen.',
+    conversionFailed: 'Konvertierung fehlgeschlagen.',
+  },
+
+  nav: {
+    converter: 'Zurück zum Konverter',
+    history: 'Verlauf',
+    backToHistory: 'Zurück zum Verlauf',
+    syncs: 'Synchronisierte Playlists',
+    backToSyncs: 'Zurück zu den synchronisierten Playlists',
+    analytics: 'Statistik',
+  },
+
+  announcements: {
+    started: 'Konvertierung gestartet.',
+    finished: {
+      one: 'Konvertierung abgeschlossen. {count} von {total} Titeln hinzugefügt.',
+      other: 'Konvertierung abgeschlossen. {count} von {total} Titeln hinzugefügt.',
+    },
+    cancelled: 'Konvertierung abgebrochen.',
+    failed: 'Konvertierung fehlgeschlagen.',
+    reviewReady: {
+      one: '{count} Titel kann geprüft werden.',
+      other: '{count} Titel können geprüft werden.',
+    },
+  },
+
+  auth: {
+    title: 'Anmeldung läuft...',
+    wait: 'Bitte warte, während wir deine Anmeldung verarbeiten.',
+    loginFailed: 'Anmeldung fehlgeschlagen: {reason}. Bitte versuche es erneut.',
+    invalidCallback: 'Ungültige Antwort von der Anmeldung erhalten.',
+    reasons: {
+      access_denied: 'Zugriff verweigert',
+      invalid_request: 'die Anmeldeanfrage war ungültig',
+      invalid_state: 'die Anmeldeanfrage ist abgelaufen oder wurde verändert',
+      server_error: 'beim Anmeldedienst ist ein Fehler aufgetreten',
+      temporarily_unavailable: 'der Anmeldedienst ist vorübergehend nicht erreichbar',
+      unknown: 'unerwarteter Fehler ({code})',
+    },
+  },
+
+  errors: {
+    banner: 'Fehler: {message}',
+    auth: {
+      spotify: 'Deine Sitzung ist abgelaufen oder ungültig. Bitte melde dich erneut an.',
+      youtube: 'Deine Verbindung zu YouTube Music ist abgelaufen. Bitte verbinde YouTube Music erneut.',
+    },
+    noResponse: 'Keine Antwort vom Server. Prüfe dein Netzwerk oder den Serverstatus.',
+    rateLimited: 'Zu viele Anfragen.',
+    upstream: 'Der Musikdienst hat nicht richtig geantwortet.',
+    httpStatus: 'Anfrage mit Status {status} fehlgeschlagen',
+    unexpected: 'Ein unerwarteter Fehler ist aufgetreten.',
+    serverReported: 'Der Server hat einen Fehler gemeldet.',
+    jobNotStarted: 'Die Konvertierung konnte nicht gestartet werden.',
+    hints: {
+      rateLimitedRetryAfter: {
+        one: 'Gerade gibt es zu viele Anfragen. Versuche es in {count} Sekunde erneut.',
+        other: 'Gerade gibt es zu viele Anfragen. Versuche es in {count} Sekunden erneut.',
+      },
+      rateLimited: 'Gerade gibt es zu viele Anfragen. Warte einen Moment, bevor du es erneut versuchst.',
+      upstream: '{service} hat gerade Probleme. Versuche es in ein paar Minuten erneut.',
+      upstreamUnknown: 'Der Musikdienst hat gerade Probleme. Versuche es in ein paar Minuten erneut.',
+      network: 'Prüfe deine Internetverbindung und versuche es erneut.',
+    },
+  },
+
+  validation: {
+    invalidUrl: 'Keine gültige URL.',
+    notSpotify: 'Keine Spotify-URL.',
+    notSpotifyPlaylist: 'Die URL ist kein Link zu einer Spotify-Playlist.',
+    youtubeEmpty: 'Gib einen Link zu einer YouTube-Music-Playlist ein.',
+    youtubeNotAnId: 'Das sieht nicht nach einer YouTube-Playlist-ID oder einem Playlist-Link aus.',
+    youtubeInvalidLink: 'Das ist kein gültiger Link.',
+    youtubeNotYoutube: 'Das ist kein Link zu YouTube oder YouTube Music.',
+    youtubeNotPlaylist: 'Dieser Link führt zu einem einzelnen Video oder einer Seite, nicht zu einer Playlist. Öffne die Playlist und kopiere ihren Link.',
+    youtubeInvalidId: 'Die Playlist-ID in diesem Link ist ungültig.',
+    youtubeMix: 'Das ist ein automatisch erstellter Mix oder Radiosender, keine Playlist. Speichere ihn auf YouTube Music als Playlist und verwende deren Link.',
+    youtubeShortId: 'Die Playlist-ID in diesem Link ist zu kurz. Prüfe, ob du den ganzen Link kopiert hast.',
+    youtubePrivateList: {
+      LL: 'Das ist deine private Liste „Videos, die ich mag“. Kopiere die Songs zuerst in eine öffentliche Playlist.',
+      LM: 'Das ist deine private Liste „Mag ich“. Kopiere die Songs zuerst in eine öffentliche Playlist.',
+      WL: 'Das ist deine private Liste „Später ansehen“. Kopiere die Songs zuerst in eine öffentliche Playlist.',
+    },
+  },
+
+  providers: {
+    urlHint: {
+      youtube: 'Die Playlist muss öffentlich sein.',
+      spotify: 'Private Playlists müssen zu dem Spotify-Konto gehören, mit dem du angemeldet bist.',
+    },
+  },
+
+  trackStatus: {
+    matched: 'Gefunden',
+    not_found: 'Nicht gefunden',
+    error: 'Fehlgeschlagen',
+    unknown: 'Unbekannt',
+  },
+
+  form: {
+    urlLabel: 'URL der {source}-Playlist:',
+    lookingUp: 'Playlist wird gesucht...',
+    loadFailed: 'Diese Playlist konnte nicht geladen werden.',
+    playlistNotFound: 'Playlist nicht gefunden. Prüfe, ob sie existiert und öffentlich ist.',
+    untitledPlaylist: 'Playlist ohne Titel',
+    defaultPlaylistName: 'Konvertierte {source}-Playlist',
+    trackCount: {
+      one: '{count} Titel',
+      other: '{count} Titel',
+    },
+    trackCountUnknown: 'Anzahl der Titel unbekannt',
+    byAuthor: 'von {author}',
+    targetGroup: 'Ziel-Playlist',
+    targetNew: 'Neue Playlist erstellen',
+    targetExisting: 'Zu einer vorhandenen Playlist hinzufügen',
+    existingLabel: 'Vorhandene Spotify-Playlist:',
+    choosePlaylist: 'Playlist auswählen...',
+    playlistOption: {
+      one: '{name} ({count} Titel)',
+      other: '{name} ({count} Titel)',
+    },
+    append: 'An die Playlist anhängen',
+    replace: 'Ihre bisherigen Titel ersetzen',
+    skipExisting: 'Titel überspringen, die schon in der Playlist sind',
+    nameLabel: 'Name der neuen {destination}-Playlist (optional):',
+    namePlaceholder: 'Meine konvertierte Playlist',
+    loadingPlaylists: 'Deine Spotify-Playlists werden geladen...',
+    review: 'Treffer vor dem Erstellen der Playlist prüfen',
+    converting: 'Wird konvertiert...',
+    findMatches: 'Treffer suchen',
+    convert: 'Playlist konvertieren',
+  },
+
+  metadata: {
+    legend: 'Playlist-Details',
+    description: 'Beschreibung:',
+    descriptionHelp: 'Verwende {source_url} für den Link zur Quelle, {title} für ihren Titel und {date} für das heutige Datum.',
+    descriptionPreview: 'Vorschau ({length}/{max}): {description}',
+    visibilityGroup: 'Sichtbarkeit der Playlist',
+    public: 'Öffentlich',
+    private: 'Privat',
+    collaborative: 'Gemeinsam bearbeiten (Spotify macht gemeinsame Playlists privat)',
+    coverGroup: 'Titelbild',
+    coverDefault: 'Standard-Titelbild',
+    coverThumbnail: 'Bild der {source}-Playlist verwenden',
+    coverUpload: 'Bild hochladen',
+    coverFile: 'Datei für das Titelbild',
+    coverPreview: 'Vorschau des Titelbilds',
+    preparingCover: 'Bild wird vorbereitet...',
+    coverUnreadable: 'Diese Datei konnte nicht als Bild gelesen werden.',
+    coverWrongType: 'Wähle ein JPEG- oder PNG-Bild.',
+    coverTooLarge: 'Dieses Bild ist zu detailreich für die Grenze von 256 KB. Versuche es mit einem einfacheren Bild.',
+  },
+
+  matching: {
+    summary: 'Erweiterte Suchoptionen',
+    summaryCustomized: 'Erweiterte Suchoptionen (angepasst)',
+    strictness: 'Genauigkeit der Treffer: {percent}',
+    strictnessHelp: 'Ein niedrigerer Wert findet mehr Titel, aber auch mehr falsche. Treffer unter dieser Sicherheit gelten als nicht gefunden.',
+    durationLabel: 'Toleranz bei der Dauer (Sekunden):',
+    durationHelp: 'Wie viel länger oder kürzer ein Treffer als der Originaltitel sein darf.',
+    marketLabel: 'Markt / Region:',
+    marketDefault: 'Standard des Kontos',
+    marketOption: '{region} ({code})',
+    marketHelp: 'Nur Titel, die in dieser Region verfügbar sind, werden berücksichtigt.',
+    preferOriginal: 'Originalversionen gegenüber Live-, Remix- und Coverversionen bevorzugen',
+    ignoreTitleNoise: 'Zusätze wie „(Official Video)“ oder „[HD]“ im Titel ignorieren',
+    allowExplicitSubstitution: 'Explizite und jugendfreie Versionen dürfen sich gegenseitig ersetzen',
+    reset: 'Auf Standard zurücksetzen',
+  },
+
+  progress: {
+    title: 'Playlist wird konvertiert',
+    barLabel: 'Fortschritt der Konvertierung',
+    processed: {
+      one: '{count} von {total} Titel verarbeitet',
+      other: '{count} von {total} Titeln verarbeitet',
+    },
+    fetching: 'Playlist wird abgerufen...',
+    counts: '{matched} gefunden · {failed} fehlgeschlagen',
+    logLabel: 'Protokoll der Konvertierung',
+    cancelling: 'Wird abgebrochen...',
+    cancel: 'Konvertierung abbrechen',
+  },
+
+  review: {
+    title: 'Treffer prüfen',
+    intro: 'Prüfe den vorgeschlagenen {destination}-Treffer für jeden Titel. Wähle einen anderen Kandidaten, suche selbst oder entferne Titel, die du nicht möchtest.',
+    sourceColumn: '{source}-Titel',
+    matchColumn: '{destination}-Treffer',
+    confidenceColumn: 'Sicherheit',
+    actionsColumn: 'Aktionen',
+    matchFor: '{destination}-Treffer für {track}',
+    noMatch: 'Kein Treffer',
+    noCandidates: 'Keine Kandidaten gefunden',
+    searchFor: 'Auf {destination} nach {track} suchen',
+    searching: 'Suche läuft...',
+    search: 'Suchen',
+    restore: 'Wiederherstellen',
+    drop: 'Entfernen',
+    cancel: 'Abbrechen',
+    creating: 'Playlist wird erstellt...',
+    confirm: {
+      one: 'Playlist mit {count} Titel erstellen',
+      other: 'Playlist mit {count} Titeln erstellen',
+    },
+  },
+
+  results: {
+    title: 'Ergebnis der Konvertierung',
+    created: '{destination}-Playlist erstellt:',
+    creationFailed: 'Die Playlist wurde möglicherweise nicht erstellt, oder es wurden keine Titel zum Hinzufügen gefunden.',
+    processed: {
+      one: '{count} Titel von {source} verarbeitet.',
+      other: '{count} Titel von {source} verarbeitet.',
+    },
+    found: {
+      one: '{count} passender Titel auf {destination} gefunden.',
+      other: '{count} passende Titel auf {destination} gefunden.',
+    },
+    added: {
+      one: '{count} Titel zur Playlist hinzugefügt.',
+      other: '{count} Titel zur Playlist hinzugefügt.',
+    },
+    description: 'Beschreibung: {description}',
+    visibility: {
+      public: 'Sichtbarkeit: Öffentlich',
+      private: 'Sichtbarkeit: Privat',
+      publicCollaborative: 'Sichtbarkeit: Öffentlich, gemeinsam bearbeitet',
+      privateCollaborative: 'Sichtbarkeit: Privat, gemeinsam bearbeitet',
+    },
+    cover: {
+      thumbnail: 'Titelbild: Bild der {source}-Playlist',
+      upload: 'Titelbild: Hochgeladenes Bild',
+      none: 'Titelbild: Standard',
+    },
+    problemsTitle: 'Probleme nach Titel:',
+    trackColumn: 'Titel',
+    resultColumn: 'Ergebnis',
+    problemColumn: 'Problem',
+    unknownProblem: 'Unbekannter Fehler',
+    unknownProblemWithCode: 'Unbekannter Fehler ({code})',
+    apiIssues: 'Aufgetretene API-Probleme:',
+    notFoundTitle: 'Auf {destination} nicht gefundene Titel:',
+    export: 'Exportieren:',
+    exportFormats: {
+      csv: 'CSV-Bericht',
+      json: 'JSON-Bericht',
+      m3u: 'M3U-Playlist',
+      xspf: 'XSPF-Playlist',
+    },
+  },
+
+  retry: {
+    title: 'Nicht gefundene Titel erneut suchen',
+    intro: 'Passe den Suchtext an, wenn ein Titel unnötige Zusätze hat, und suche dann erneut. Neue Treffer werden zur selben {destination}-Playlist hinzugefügt.',
+    select: '{track} erneut suchen',
+    query: 'Suchtext für {track}',
+    looseMatching: 'Weniger streng suchen',
+    retrying: 'Suche läuft...',
+    submit: {
+      one: '{count} Titel erneut suchen',
+      other: '{count} Titel erneut suchen',
+    },
+  },
+
+  batch: {
+    urlsLabel: 'URLs der {source}-Playlists (eine pro Zeile):',
+    playlistCount: {
+      one: '{count} Playlist',
+      other: '{count} Playlists',
+    },
+    invalidCount: '{count} ungültig (werden übersprungen)',
+    loadFile: 'Oder eine Textdatei laden:',
+    loadFileLabel: 'URLs aus einer Textdatei laden',
+    templateLabel: 'Vorlage für Playlist-Namen:',
+    defaultNameTemplate: '{title} (konvertiert)',
+    fallbackTitle: 'Playlist {index}',
+    templateHelp: 'Verwende {title} für den Titel der Quell-Playlist, {index} für ihre Position und {date} für das heutige Datum.',
+    concurrencyLabel: 'Gleichzeitig konvertierte Playlists:',
+    stopping: 'Wird angehalten...',
+    stop: 'Stapel anhalten',
+    convert: {
+      one: '{count} Playlist konvertieren',
+      other: '{count} Playlists konvertieren',
+    },
+    statusTitle: 'Status des Stapels',
+    finished: '{finished} von {total} Playlists fertig: {completed} abgeschlossen, {failed} fehlgeschlagen.',
+    trackTotals: '{tracks} Titel verarbeitet, {found} auf {destination} gefunden, {added} hinzugefügt.',
+    sourceColumn: 'Quelle',
+    playlistColumn: '{destination}-Playlist',
+    statusColumn: 'Status',
+    progress: '({processed}/{total})',
+    added: '({added}/{total} hinzugefügt)',
+    status: {
+      invalid: 'Ungültig',
+      pending: 'In der Warteschlange',
+      preparing: 'Details werden abgerufen',
+      converting: 'Wird konvertiert',
+      completed: 'Abgeschlossen',
+      failed: 'Fehlgeschlagen',
+      cancelled: 'Abgebrochen',
+    },
+  },
+
+  history: {
+    title: 'Verlauf',
+    status: {
+      success: 'Erfolgreich',
+      partial: 'Teilweise',
+      failed: 'Fehlgeschlagen',
+    },
+    loadFailed: 'Der Verlauf konnte nicht aus diesem Browser geladen werden.',
+    syncFailed: 'Abgleich des Verlaufs fehlgeschlagen: {message}',
+    deleteFailed: 'Eintrag konnte nicht gelöscht werden: {message}',
+    filterPlaceholder: 'Nach Playlist-Name oder URL filtern',
+    filterLabel: 'Konvertierungen filtern',
+    statusFilterLabel: 'Nach Status filtern',
+    allStatuses: 'Alle Status',
+    syncing: 'Wird abgeglichen...',
+    syncFromServer: 'Vom Server abgleichen',
+    loading: 'Verlauf wird geladen...',
+    empty: 'Noch keine Konvertierungen.',
+    noMatches: 'Keine Konvertierung passt zum aktuellen Filter.',
+    untitled: 'Konvertierung ohne Titel',
+    tracksAdded: '{added}/{total} Titel hinzugefügt',
+    delete: 'Löschen',
+    detailTitle: 'Details der Konvertierung',
+    notInHistory: 'Diese Konvertierung ist nicht in deinem Verlauf.',
+    loadEntryFailed: 'Diese Konvertierung konnte nicht aus dem Verlauf geladen werden.',
+    loadingEntry: 'Konvertierung wird geladen...',
+    convertedFrom: 'Am {date} konvertiert aus',
+    unknownSource: 'unbekannter Quelle',
+    finishedWithError: 'Mit Fehler beendet: {error}',
+    deleteFromHistory: 'Aus dem Verlauf löschen',
+  },
+
+  offline: {
+    title: 'Du bist offline',
+    intro: 'Zum Konvertieren von Playlists wird eine Internetverbindung benötigt. Auf diesem Gerät gespeicherte Ergebnisse sind weiterhin verfügbar.',
+    loading: 'Gespeicherte Konvertierungen werden geladen...',
+    empty: 'Auf diesem Gerät sind noch keine Konvertierungen gespeichert.',
+    allSaved: 'Alle gespeicherten Konvertierungen',
+  },
+
+  sync: {
+    schedule: {
+      manual: 'Nur wenn ich Änderungen übernehme',
+      daily: 'Täglich',
+      weekly: 'Wöchentlich',
+    },
+    scheduleLabel: 'Nach Änderungen suchen:',
+    setupTitle: 'Synchron halten',
+    setupIntro: 'Songs, die später zur {source}-Playlist hinzukommen, werden zu dieser Playlist hinzugefügt, ohne sie neu zu konvertieren.',
+    removeMissing: 'Auch Songs entfernen, die aus der Quelle entfernt wurden',
+    creating: 'Synchronisierung wird eingerichtet...',
+    create: 'Synchron halten',
+    isSynced: 'Diese Playlist wird mit ihrer {source}-Quelle synchron gehalten.',
+    view: 'Synchronisierung ansehen',
+    listTitle: 'Synchronisierte Playlists',
+    loadingList: 'Synchronisierte Playlists werden geladen...',
+    emptyList: 'Noch keine Playlist wird synchronisiert. Verwende „Synchron halten“ bei einem Konvertierungsergebnis, um eine hinzuzufügen.',
+    lastSynced: 'Zuletzt synchronisiert am {date}',
+    notSynced: 'Noch nicht synchronisiert',
+    detailTitle: 'Synchronisierte Playlist',
+    loadingDetail: 'Synchronisierung wird geladen...',
+    sourceLink: '{source}-Quelle',
+    destinationFallback: '{destination}-Playlist',
+    lastSyncedSentence: 'Zuletzt synchronisiert am {date}.',
+    notSyncedSentence: 'Noch nicht synchronisiert.',
+    nextSync: 'Nächste automatische Synchronisierung am {date}.',
+    lastRunFailed: 'Letzte automatische Synchronisierung fehlgeschlagen: {error}',
+    scheduledRemoval: 'Geplante Synchronisierungen entfernen auch Songs, die aus der Quelle entfernt wurden',
+    changesTitle: 'Änderungen seit der letzten Synchronisierung',
+    comparing: 'Playlists werden verglichen...',
+    changeListTitle: '{title} ({count})',
+    addedTitle: 'Neu in der {source}-Playlist',
+    noAdded: 'Keine neuen Songs.',
+    removedTitle: 'Nicht mehr in der {source}-Playlist',
+    noRemoved: 'Keine entfernten Songs.',
+    applied: '{added} Songs hinzugefügt und {removed} entfernt.',
+    notFoundOn: 'Nicht auf {destination} gefunden: {tracks}.',
+    applying: 'Wird übernommen...',
+    apply: {
+      one: '{count} Änderung übernehmen',
+      other: '{count} Änderungen übernehmen',
+    },
+    checkAgain: 'Erneut prüfen',
+    stop: 'Synchronisierung beenden',
+    stopConfirm: 'Synchronisierung dieser Playlist beenden? Die {destination}-Playlist bleibt unverändert, spätere Änderungen an der {source}-Playlist werden nicht mehr übernommen.',
+    stopConfirmYes: 'Ja, Synchronisierung beenden',
+    stopCancel: 'Weiter synchronisieren',
+  },
+
+  analytics: {
+    title: 'Konvertierungsstatistik',
+    intro: 'Basiert auf den auf diesem Gerät gespeicherten Konvertierungen. Mit „Vom Server abgleichen“ im Verlauf kommen Konvertierungen von anderen Geräten dazu.',
+    loading: 'Konvertierungen werden geladen...',
+    loadFailed: 'Der Konvertierungsverlauf konnte nicht aus diesem Browser geladen werden.',
+    empty: 'Noch keine Konvertierungen. Die Statistik erscheint nach deiner ersten Konvertierung.',
+    summaryTitle: 'Überblick',
+    conversions: {
+      one: '{count} Konvertierung',
+      other: '{count} Konvertierungen',
+    },
+    matchRate: 'Gesamte Trefferquote: {rate}',
+    tracksAdded: {
+      one: '{count} Titel zu Playlists hinzugefügt',
+      other: '{count} Titel zu Playlists hinzugefügt',
+    },
+    averageDuration: 'Durchschnittliche Dauer einer Konvertierung: {duration}',
+    noDuration: 'Durchschnittliche Dauer einer Konvertierung: noch nicht erfasst',
+    matchRateTitle: 'Trefferquote im Zeitverlauf',
+    dayColumn: 'Tag',
+    conversionsColumn: 'Konvertierungen',
+    rateColumn: 'Trefferquote',
+    noRate: 'Keine Titelzahlen',
+    failureReasonsTitle: 'Häufigste Fehlerursachen',
+    noFailureReasons: 'Es wurden keine Fehler gemeldet.',
+    repeatedTracksTitle: 'Titel, die wiederholt nicht gefunden werden',
+    noRepeatedTracks: 'Kein Titel wurde mehr als einmal nicht gefunden.',
+    repeatedArtistsTitle: 'Interpreten, die wiederholt nicht gefunden werden',
+    noRepeatedArtists: 'Kein Interpret wurde mehr als einmal nicht gefunden.',
+    occurrences: {
+      one: '{count}-mal',
+      other: '{count}-mal',
+    },
+    failedIn: {
+      one: 'in {count} Konvertierung',
+      other: 'in {count} Konvertierungen',
+    },
+  },
+};
+
+export default de;
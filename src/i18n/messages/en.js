@@ -0,0 +1,464 @@
+// --- English Messages ---
+// The reference catalog: every key used in the UI exists here, other locales fall back to it.
+// Placeholders in braces are filled by t(); plural messages are picked by their `count` param.
+const en = {
+  common: {
+    notAvailable: 'N/A',
+    language: 'Language:',
+  },
+
+  main: {
+    title: '{source} to {destination} Playlist Converter',
+    loadingAuth: 'Loading authentication status...',
+    loggedInAs: 'Logged in as',
+    logout: 'Logout',
+    youtubeConnected: 'YouTube Music connected',
+    disconnect: 'Disconnect',
+    connectYoutube: 'Connect YouTube Music',
+    loginPrompt: 'Please log in with Spotify to convert playlists.',
+    login: 'Login with Spotify',
+    retryConversion: 'Retry Conversion',
+    directionLabel: 'Convert:',
+    direction: '{source} to {destination}',
+    connectYoutubeHint: 'Connect YouTube Music above to create playlists there.',
+    modeLabel: 'Conversion mode',
+    modeSingle: 'Single Playlist',
+    modeBatch: 'Batch',
+    conversionCancelled: 'Conversion cancelled.',
+    conversionFailed: 'Conversion failed.',
+  },
+
+  nav: {
+    converter: 'Back to Converter',
+    history: 'Conversion History',
+    backToHistory: 'Back to History',
+    syncs: 'Synced Playlists',
+    backToSyncs: 'Back to Synced Playlists',
+    analytics: 'Analytics',
+  },
+
+  // Read out by screen readers when a conversion changes state
+  announcements: {
+    started: 'Conversion started.',
+    finished: {
+      one: 'Conversion finished. {count} of {total} track added.',
+      other: 'Conversion finished. {count} of {total} tracks added.',
+    },
+    cancelled: 'Conversion cancelled.',
+    failed: 'Conversion failed.',
+    reviewReady: {
+      one: '{count} track is ready for review.',
+      other: '{count} tracks are ready for review.',
+    },
+  },
+
+  auth: {
+    title: 'Authenticating...',
+    wait: 'Please wait while we process your login.',
+    loginFailed: 'Login failed: {reason}. Please try again.',
+    invalidCallback: 'Invalid authentication callback received.',
+    // Error codes the login redirect can carry back (OAuth error codes)
+    reasons: {
+      access_denied: 'access denied',
+      invalid_request: 'the login request was not valid',
+      invalid_state: 'the login request expired or was changed',
+      server_error: 'the login service had a problem',
+      temporarily_unavailable: 'the login service is temporarily unavailable',
+      unknown: 'unexpected error ({code})',
+    },
+  },
+
+  errors: {
+    banner: 'Error: {message}',
+    auth: {
+      spotify: 'Your session has expired or is invalid. Please log in again.',
+      youtube: 'Your YouTube Music connection has expired. Please connect YouTube Music again.',
+    },
+    noResponse: 'No response received from server. Check network or server status.',
+    rateLimited: 'Too many requests.',
+    upstream: 'The music service did not respond properly.',
+    httpStatus: 'Request failed with status {status}',
+    unexpected: 'An unexpected error occurred.',
+    serverReported: 'The server reported an error.',
+    jobNotStarted: 'Conversion job could not be started.',
+    hints: {
+      rateLimitedRetryAfter: {
+        one: 'Too many requests right now. Try again in {count} second.',
+        other: 'Too many requests right now. Try again in {count} seconds.',
+      },
+      rateLimited: 'Too many requests right now. Wait a moment before trying again.',
+      upstream: '{service} is having trouble right now. Try again in a few minutes.',
+      upstreamUnknown: 'The music service is having trouble right now. Try again in a few minutes.',
+      network: 'Check your internet connection and try again.',
+    },
+  },
+
+  validation: {
+    invalidUrl: 'Not a valid URL.',
+    notSpotify: 'Not a Spotify URL.',
+    notSpotifyPlaylist: 'URL is not a Spotify playlist link.',
+    youtubeEmpty: 'Enter a YouTube Music playlist link.',
+    youtubeNotAnId: 'This does not look like a YouTube playlist ID or link.',
+    youtubeInvalidLink: 'This is not a valid link.',
+    youtubeNotYoutube: 'This is not a YouTube or YouTube Music link.',
+    youtubeNotPlaylist: 'This link points to a single video or page, not a playlist. Open the playlist and copy its link.',
+    youtubeInvalidId: 'The playlist ID in this link is not valid.',
+    youtubeMix: 'This is an auto-generated mix or radio, not a playlist. Save it as a playlist on YouTube Music and use that link.',
+    youtubeShortId: 'The playlist ID in this link looks too short. Check that you copied the whole link.',
+    youtubePrivateList: {
+      LL: 'This is your "Liked videos" list, which is private. Copy the songs into a public playlist first.',
+      LM: 'This is your "Liked music" list, which is private. Copy the songs into a public playlist first.',
+      WL: 'This is your "Watch later" list, which is private. Copy the songs into a public playlist first.',
+    },
+  },
+
+  providers: {
+    urlHint: {
+      youtube: 'Make sure the playlist is public.',
+      spotify: 'Private playlists must belong to the Spotify account you are logged in with.',
+    },
+  },
+
+  trackStatus: {
+    matched: 'Matched',
+    not_found: 'Not found',
+    error: 'Failed',
+    unknown: 'Unknown',
+  },
+
+  form: {
+    urlLabel: '{source} Playlist URL:',
+    lookingUp: 'Looking up playlist...',
+    loadFailed: 'Could not load this playlist.',
+    playlistNotFound: 'Playlist not found. Check that it exists and is public.',
+    untitledPlaylist: 'Untitled playlist',
+    defaultPlaylistName: 'Converted {source} Playlist',
+    trackCount: {
+      one: '{count} track',
+      other: '{count} tracks',
+    },
+    trackCountUnknown: 'Track count unknown',
+    byAuthor: 'by {author}',
+    targetGroup: 'Destination playlist',
+    targetNew: 'Create a new playlist',
+    targetExisting: 'Add to an existing playlist',
+    existingLabel: 'Existing Spotify Playlist:',
+    choosePlaylist: 'Choose a playlist...',
+    playlistOption: {
+      one: '{name} ({count} track)',
+      other: '{name} ({count} tracks)',
+    },
+    append: 'Append to the playlist',
+    replace: 'Replace its current tracks',
+    skipExisting: 'Skip tracks already in the playlist',
+    nameLabel: 'New {destination} Playlist Name (Optional):',
+    namePlaceholder: 'My Awesome Converted Playlist',
+    loadingPlaylists: 'Loading your Spotify playlists...',
+    review: 'Review matches before creating the playlist',
+    converting: 'Converting...',
+    findMatches: 'Find Matches',
+    convert: 'Convert Playlist',
+  },
+
+  metadata: {
+    legend: 'Playlist Details',
+    description: 'Description:',
+    descriptionHelp: "Use {source_url} for the source link, {title} for its title and {date} for today's date.",
+    descriptionPreview: 'Preview ({length}/{max}): {description}',
+    visibilityGroup: 'Playlist visibility',
+    public: 'Public',
+    private: 'Private',
+    collaborative: 'Collaborative (Spotify makes collaborative playlists private)',
+    coverGroup: 'Cover image',
+    coverDefault: 'Default cover',
+    coverThumbnail: 'Use the {source} playlist image',
+    coverUpload: 'Upload an image',
+    coverFile: 'Cover image file',
+    coverPreview: 'Cover preview',
+    preparingCover: 'Preparing image...',
+    coverUnreadable: 'This file could not be read as an image.',
+    coverWrongType: 'Choose a JPEG or PNG image.',
+    coverTooLarge: 'This image is too detailed to fit the 256 KB cover limit. Try a simpler image.',
+  },
+
+  matching: {
+    summary: 'Advanced matching options',
+    summaryCustomized: 'Advanced matching options (customized)',
+    strictness: 'Match strictness: {percent}',
+    strictnessHelp: 'Lower finds more tracks but also more wrong ones. Matches below this confidence are reported as not found.',
+    durationLabel: 'Duration tolerance (seconds):',
+    durationHelp: 'How much longer or shorter a match may be than the source track.',
+    marketLabel: 'Market / region:',
+    marketDefault: 'Account default',
+    marketOption: '{region} ({code})',
+    marketHelp: 'Only tracks available in this region are considered.',
+    preferOriginal: 'Prefer original versions over live, remix and cover versions',
+    ignoreTitleNoise: 'Ignore title noise like "(Official Video)" or "[HD]"',
+    allowExplicitSubstitution: 'Allow explicit and clean versions to stand in for each other',
+    reset: 'Reset to Defaults',
+  },
+
+  progress: {
+    title: 'Converting Playlist',
+    barLabel: 'Conversion progress',
+    processed: {
+      one: '{count} of {total} track processed',
+      other: '{count} of {total} tracks processed',
+    },
+    fetching: 'Fetching playlist...',
+    counts: '{matched} matched · {failed} failed',
+    logLabel: 'Conversion log',
+    cancelling: 'Cancelling...',
+    cancel: 'Cancel Conversion',
+  },
+
+  review: {
+    title: 'Review Matches',
+    intro: "Check the proposed {destination} match for each track. Pick another candidate, search manually, or drop tracks you don't want.",
+    sourceColumn: '{source} Track',
+    matchColumn: '{destination} Match',
+    confidenceColumn: 'Confidence',
+    actionsColumn: 'Actions',
+    matchFor: '{destination} match for {track}',
+    noMatch: 'No match',
+    noCandidates: 'No candidates found',
+    searchFor: 'Search {destination} for {track}',
+    searching: 'Searching...',
+    search: 'Search',
+    restore: 'Restore',
+    drop: 'Drop',
+    cancel: 'Cancel',
+    creating: 'Creating playlist...',
+    confirm: {
+      one: 'Create Playlist with {count} Track',
+      other: 'Create Playlist with {count} Tracks',
+    },
+  },
+
+  results: {
+    title: 'Conversion Results',
+    created: 'Created {destination} playlist:',
+    creationFailed: 'Playlist creation may have failed, or no tracks were found to add.',
+    processed: {
+      one: 'Processed {count} track from {source}.',
+      other: 'Processed {count} tracks from {source}.',
+    },
+    found: {
+      one: 'Found {count} matching track on {destination}.',
+      other: 'Found {count} matching tracks on {destination}.',
+    },
+    added: {
+      one: 'Added {count} track to the playlist.',
+      other: 'Added {count} tracks to the playlist.',
+    },
+    description: 'Description: {description}',
+    visibility: {
+      public: 'Visibility: Public',
+      private: 'Visibility: Private',
+      publicCollaborative: 'Visibility: Public, collaborative',
+      privateCollaborative: 'Visibility: Private, collaborative',
+    },
+    cover: {
+      thumbnail: 'Cover image: {source} playlist image',
+      upload: 'Cover image: Uploaded image',
+      none: 'Cover image: Default',
+    },
+    problemsTitle: 'Problems by Track:',
+    trackColumn: 'Track',
+    resultColumn: 'Result',
+    problemColumn: 'Problem',
+    unknownProblem: 'Unknown error',
+    unknownProblemWithCode: 'Unknown error ({code})',
+    apiIssues: 'API Issues Encountered:',
+    notFoundTitle: 'Tracks Not Found on {destination}:',
+    export: 'Export:',
+    exportFormats: {
+      csv: 'CSV Report',
+      json: 'JSON Report',
+      m3u: 'M3U Playlist',
+      xspf: 'XSPF Playlist',
+    },
+  },
+
+  retry: {
+    title: 'Retry Unmatched Tracks',
+    intro: 'Edit the search text if a title is noisy, then retry. New matches are added to the same {destination} playlist.',
+    select: 'Retry {track}',
+    query: 'Search text for {track}',
+    looseMatching: 'Use looser matching',
+    retrying: 'Retrying...',
+    submit: {
+      one: 'Retry {count} Track',
+      other: 'Retry {count} Tracks',
+    },
+  },
+
+  batch: {
+    urlsLabel: '{source} Playlist URLs (one per line):',
+    playlistCount: {
+      one: '{count} playlist',
+      other: '{count} playlists',
+    },
+    invalidCount: '{count} invalid (they will be skipped)',
+    loadFile: 'Or load a text file:',
+    loadFileLabel: 'Load URLs from a text file',
+    templateLabel: 'Playlist Name Template:',
+    defaultNameTemplate: '{title} (converted)',
+    fallbackTitle: 'Playlist {index}',
+    templateHelp: "Use {title} for the source playlist title, {index} for its position and {date} for today's date.",
+    concurrencyLabel: 'Playlists converted at the same time:',
+    stopping: 'Stopping...',
+    stop: 'Stop Batch',
+    convert: {
+      one: 'Convert {count} Playlist',
+      other: 'Convert {count} Playlists',
+    },
+    statusTitle: 'Batch Status',
+    finished: '{finished} of {total} playlists finished: {completed} completed, {failed} failed.',
+    trackTotals: 'Processed {tracks} tracks, found {found} on {destination}, added {added}.',
+    sourceColumn: 'Source',
+    playlistColumn: '{destination} Playlist',
+    statusColumn: 'Status',
+    progress: '({processed}/{total})',
+    added: '({added}/{total} added)',
+    status: {
+      invalid: 'Invalid',
+      pending: 'Queued',
+      preparing: 'Fetching details',
+      converting: 'Converting',
+      completed: 'Completed',
+      failed: 'Failed',
+      cancelled: 'Cancelled',
+    },
+  },
+
+  history: {
+    title: 'Conversion History',
+    status: {
+      success: 'Success',
+      partial: 'Partial',
+      failed: 'Failed',
+    },
+    loadFailed: 'Could not load conversion history from this browser.',
+    syncFailed: 'History sync failed: {message}',
+    deleteFailed: 'Could not delete entry: {message}',
+    filterPlaceholder: 'Filter by playlist name or URL',
+    filterLabel: 'Filter conversions',
+    statusFilterLabel: 'Filter by status',
+    allStatuses: 'All statuses',
+    syncing: 'Syncing...',
+    syncFromServer: 'Sync from Server',
+    loading: 'Loading history...',
+    empty: 'No conversions yet.',
+    noMatches: 'No conversions match the current filter.',
+    untitled: 'Untitled conversion',
+    tracksAdded: '{added}/{total} tracks added',
+    delete: 'Delete',
+    detailTitle: 'Conversion Details',
+    notInHistory: 'This conversion is not in your history.',
+    loadEntryFailed: 'Could not load this conversion from history.',
+    loadingEntry: 'Loading conversion...',
+    convertedFrom: 'Converted {date} from',
+    unknownSource: 'unknown source',
+    finishedWithError: 'Finished with error: {error}',
+    deleteFromHistory: 'Delete from History',
+  },
+
+  offline: {
+    title: "You're offline",
+    intro: 'Converting playlists needs an internet connection. Results saved on this device are still available.',
+    loading: 'Loading saved conversions...',
+    empty: 'No conversions are saved on this device yet.',
+    allSaved: 'All saved conversions',
+  },
+
+  sync: {
+    schedule: {
+      manual: 'Only when I apply changes',
+      daily: 'Every day',
+      weekly: 'Every week',
+    },
+    scheduleLabel: 'Check for changes:',
+    setupTitle: 'Keep in Sync',
+    setupIntro: 'Add songs that are added to the {source} playlist later to this playlist, without converting it again.',
+    removeMissing: 'Also remove songs that were removed from the source',
+    creating: 'Setting up sync...',
+    create: 'Keep in Sync',
+    isSynced: 'This playlist is kept in sync with its {source} source.',
+    view: 'View sync',
+    listTitle: 'Synced Playlists',
+    loadingList: 'Loading synced playlists...',
+    emptyList: 'No playlists are synced yet. Use "Keep in Sync" on a conversion result to add one.',
+    lastSynced: 'Last synced {date}',
+    notSynced: 'Not synced yet',
+    detailTitle: 'Synced Playlist',
+    loadingDetail: 'Loading sync...',
+    sourceLink: '{source} source',
+    destinationFallback: '{destination} playlist',
+    lastSyncedSentence: 'Last synced {date}.',
+    notSyncedSentence: 'Not synced yet.',
+    nextSync: 'Next automatic sync {date}.',
+    lastRunFailed: 'Last automatic sync failed: {error}',
+    scheduledRemoval: 'Scheduled syncs also remove songs that were removed from the source',
+    changesTitle: 'Changes Since Last Sync',
+    comparing: 'Comparing playlists...',
+    changeListTitle: '{title} ({count})',
+    addedTitle: 'New in the {source} playlist',
+    noAdded: 'No new songs.',
+    removedTitle: 'Not in the {source} playlist anymore',
+    noRemoved: 'No removed songs.',
+    applied: 'Added {added} and removed {removed} songs.',
+    notFoundOn: 'Not found on {destination}: {tracks}.',
+    applying: 'Applying...',
+    apply: {
+      one: 'Apply {count} Change',
+      other: 'Apply {count} Changes',
+    },
+    checkAgain: 'Check Again',
+    stop: 'Stop Syncing',
+    stopConfirm: 'Stop syncing this playlist? The {destination} playlist stays as it is, later changes to the {source} playlist are no longer picked up.',
+    stopConfirmYes: 'Yes, Stop Syncing',
+    stopCancel: 'Keep Syncing',
+  },
+
+  analytics: {
+    title: 'Conversion Analytics',
+    intro: 'Based on the conversions saved on this device. Use "Sync from Server" in the history to include conversions made elsewhere.',
+    loading: 'Loading conversions...',
+    loadFailed: 'Could not load conversion history from this browser.',
+    empty: 'No conversions yet. Statistics appear here after your first conversion.',
+    summaryTitle: 'Overview',
+    conversions: {
+      one: '{count} conversion',
+      other: '{count} conversions',
+    },
+    matchRate: 'Overall match rate: {rate}',
+    tracksAdded: {
+      one: '{count} track added to playlists',
+      other: '{count} tracks added to playlists',
+    },
+    averageDuration: 'Average conversion time: {duration}',
+    noDuration: 'Average conversion time: not recorded yet',
+    matchRateTitle: 'Match Rate Over Time',
+    dayColumn: 'Day',
+    conversionsColumn: 'Conversions',
+    rateColumn: 'Match rate',
+    noRate: 'No track counts',
+    failureReasonsTitle: 'Most Common Failure Reasons',
+    noFailureReasons: 'No errors were reported.',
+    repeatedTracksTitle: 'Tracks That Repeatedly Fail to Match',
+    noRepeatedTracks: 'No track failed to match more than once.',
+    repeatedArtistsTitle: 'Artists That Repeatedly Fail to Match',
+    noRepeatedArtists: 'No artist failed to match more than once.',
+    occurrences: {
+      one: '{count} time',
+      other: '{count} times',
+    },
+    failedIn: {
+      one: 'in {count} conversion',
+      other: 'in {count} conversions',
+    },
+  },
+};
+
+export default en;
@@ -0,0 +1,79 @@
+import de from './messages/de';
+import en from './messages/en';
+
+// --- Translation ---
+// Catalogs are nested objects of message strings. Messages fill {name} placeholders from `params`,
+// numbers are formatted for the locale. A message that depends on a count is an object of
+// Intl.PluralRules categories ({ one, other, ... }) and is picked by `params.count`.
+export const LOCALES = {
+  en: { label: 'English', messages: en },
+  de: { label: 'Deutsch', messages: de },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// First supported locale among the given language tags ("de-AT" matches "de"), else the default
+export const resolveLocale = (languageTags = []) => {
+  for (const tag of languageTags) {
+    const language = (tag || '').toLowerCase().split('-')[0];
+    if (LOCALES[language]) {
+      return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const isPluralMessage = (message) => Boolean(message) && typeof message === 'object' && typeof message.other === 'string';
+
+export const formatNumber = (locale, value, options) => new Intl.NumberFormat(locale, options).format(value);
+
+export const formatDateTime = (locale, value, options = { dateStyle: 'medium', timeStyle: 'short' }) => (
+  new Intl.DateTimeFormat(locale, options).format(new Date(value))
+);
+
+export const formatList = (locale, items) => new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' }).format(items);
+
+// Missing messages fall back to English, then to the key itself so a gap shows up instead of an empty string
+export const translate = (locale, key, params = {}) => {
+  let message = lookup(LOCALES[locale]?.messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (isPluralMessage(message)) {
+    message = message[new Intl.PluralRules(locale).select(params.count ?? 0)] ?? message.other;
+  }
+  if (typeof message !== 'string') {
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'number' ? formatNumber(locale, value) : String(value);
+  });
+};
+
+export const formatRegion = (locale, regionCode) => {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'region' }).of(regionCode) || regionCode;
+  } catch (err) {
+    return regionCode;
+  }
+};
+
+// A message that is translated when it is shown instead of when it is created, so it follows later
+// language changes. Validators and errors hand these out in place of finished strings.
+export const localizedMessage = (messageKey, messageParams) => ({ messageKey, messageParams });
+
+// Text of a plain string (backend messages, already translated), a localizedMessage, or an Error/ApiError
+// that carries a `messageKey`. Params may be messages themselves, like the error inside "Sync failed: {message}".
+export const translateMessage = (locale, message) => {
+  if (!message) return '';
+  if (typeof message === 'string') return message;
+  if (message.messageKey) {
+    const params = Object.fromEntries(Object.entries(message.messageParams || {}).map(([name, value]) => [
+      name,
+      value && typeof value === 'object' ? translateMessage(locale, value) : value,
+    ]));
+    return translate(locale, message.messageKey, params);
+  }
+  return message.message || String(message);
+};
@@ -0,0 +1,51 @@
+import de from './messages/de';
+import en from './messages/en';
+import { localizedMessage, resolveLocale, translate, translateMessage } from './translate';
+
+// Dotted paths of every message, plural forms count as one message
+const messageKeys = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => (
+  typeof value === 'object' && typeof value.other !== 'string'
+    ? messageKeys(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]
+));
+
+describe('translate', () => {
+  test('fills placeholders and formats numbers for the locale', () => {
+    expect(translate('en', 'history.tracksAdded', { added: 1200, total: 1500 })).toBe('1,200/1,500 tracks added');
+    expect(translate('de', 'history.tracksAdded', { added: 1200, total: 1500 })).toBe('1.200/1.500 Titel hinzugefügt');
+  });
+
+  test('picks the plural form by count', () => {
+    expect(translate('en', 'retry.submit', { count: 1 })).toBe('Retry 1 Track');
+    expect(translate('en', 'retry.submit', { count: 3 })).toBe('Retry 3 Tracks');
+  });
+
+  test('falls back to English, then to the key', () => {
+    expect(translate('fr', 'main.logout')).toBe('Logout');
+    expect(translate('de', 'missing.key')).toBe('missing.key');
+  });
+
+  test('keeps placeholders without a value', () => {
+    expect(translate('en', 'batch.templateHelp')).toContain('{title}');
+  });
+
+  test('translates messages nested in params', () => {
+    const message = localizedMessage('history.syncFailed', { message: localizedMessage('errors.noResponse') });
+
+    expect(translateMessage('en', message)).toBe(`History sync failed: ${translate('en', 'errors.noResponse')}`);
+    expect(translateMessage('en', 'Backend message')).toBe('Backend message');
+  });
+});
+
+describe('resolveLocale', () => {
+  test('matches language tags by their language', () => {
+    expect(resolveLocale(['fr-FR', 'de-AT'])).toBe('de');
+    expect(resolveLocale(['fr-FR'])).toBe('en');
+  });
+});
+
+describe('catalogs', () => {
+  test('German has every English message', () => {
+    expect(messageKeys(de).sort()).toEqual(messageKeys(en).sort());
+  });
+});
@@ -2,7 +2,9 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App.jsx';
-import reportWebVitals from './reportWebVitals';
+import { WEB_VITALS_ENDPOINT } from './constants';
+import reportWebVitals, { sendToEndpoint } from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,7 +13,10 @@ root.render(
   </React.StrictMode>
 );
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// Caches the app shell so the app can be installed and opens offline
+serviceWorkerRegistration.register();
+
+// Performance metrics go to the endpoint configured with VITE_WEB_VITALS_ENDPOINT, if any
+if (WEB_VITALS_ENDPOINT) {
+  reportWebVitals(sendToEndpoint(WEB_VITALS_ENDPOINT));
+}
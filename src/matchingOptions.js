@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+
+// --- Matching Options ---
+// Settings that tune how the backend matches tracks, sent as `matching_options` with every
+// conversion and preview request. They are remembered per user in localStorage.
+
+export const DEFAULT_MATCHING_OPTIONS = {
+  // Candidates below this confidence (0-1) count as not found
+  min_confidence: 0.6,
+  // Rank the studio version above live, remix, cover and karaoke versions
+  prefer_original: true,
+  // Strip "(Official Video)", "[HD]", "Lyrics" and similar from source titles before searching
+  ignore_title_noise: true,
+  // ISO 3166-1 country code whose catalog is searched; empty uses the account's own market
+  market: '',
+  // Maximum difference in track length that still counts as the same recording
+  duration_tolerance_seconds: 10,
+  // Accept the clean version when only that exists, and the other way round
+  allow_explicit_substitution: true,
+};
+
+export const MIN_CONFIDENCE_RANGE = { min: 0.3, max: 0.95, step: 0.05 };
+export const DURATION_TOLERANCE_RANGE = { min: 0, max: 60 };
+
+// Region codes offered for searching, '' is the account default; the options panel names them in the UI language
+export const MARKETS = ['', 'US', 'GB', 'CA', 'AU', 'DE', 'FR', 'ES', 'IT', 'NL', 'SE', 'BR', 'MX', 'JP', 'IN'];
+
+const STORAGE_KEY_PREFIX = 'matching_options:';
+
+// Missing or blank values take the fallback, Number() would read them as 0
+const clamp = (value, { min, max }, fallback) => {
+  const number = value === null || value === undefined || String(value).trim() === '' ? NaN : Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+// Fills in defaults and drops anything a hand-edited or older stored value got wrong
+export const sanitizeMatchingOptions = (options) => {
+  const merged = { ...DEFAULT_MATCHING_OPTIONS, ...(options || {}) };
+  return {
+    min_confidence: clamp(merged.min_confidence, MIN_CONFIDENCE_RANGE, DEFAULT_MATCHING_OPTIONS.min_confidence),
+    prefer_original: Boolean(merged.prefer_original),
+    ignore_title_noise: Boolean(merged.ignore_title_noise),
+    market: MARKETS.includes(merged.market) ? merged.market : DEFAULT_MATCHING_OPTIONS.market,
+    duration_tolerance_seconds: Math.round(clamp(merged.duration_tolerance_seconds, DURATION_TOLERANCE_RANGE, DEFAULT_MATCHING_OPTIONS.duration_tolerance_seconds)),
+    allow_explicit_substitution: Boolean(merged.allow_explicit_substitution),
+  };
+};
+
+export const loadMatchingOptions = (userId) => {
+  if (!userId) return { ...DEFAULT_MATCHING_OPTIONS };
+  try {
+    return sanitizeMatchingOptions(JSON.parse(localStorage.getItem(`${STORAGE_KEY_PREFIX}${userId}`)));
+  } catch (err) {
+    return { ...DEFAULT_MATCHING_OPTIONS };
+  }
+};
+
+export const saveMatchingOptions = (userId, options) => {
+  if (!userId) return;
+  localStorage.setItem(`${STORAGE_KEY_PREFIX}${userId}`, JSON.stringify(sanitizeMatchingOptions(options)));
+};
+
+// Matching options of the given user; every change is stored right away
+export const useMatchingOptions = (userId) => {
+  const [options, setOptions] = useState(() => loadMatchingOptions(userId));
+
+  // Another account logged in: switch to their settings
+  useEffect(() => {
+    setOptions(loadMatchingOptions(userId));
+  }, [userId]);
+
+  const updateOptions = (patch) => {
+    setOptions((prev) => {
+      const next = sanitizeMatchingOptions({ ...prev, ...patch });
+      saveMatchingOptions(userId, next);
+      return next;
+    });
+  };
+
+  return [options, updateOptions];
+};
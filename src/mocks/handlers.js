@@ -0,0 +1,30 @@
+import { http, HttpResponse } from 'msw';
+
+// --- Mock Backend ---
+// Default happy-path responses for the endpoints the app calls. Tests override single
+// endpoints with server.use(...) to exercise error paths.
+export const API_URL = (path) => `*/api${path}`;
+
+export const mockUser = { id: 'test-user', display_name: 'Test User' };
+
+export const mockResults = {
+  spotify_playlist_url: 'https://open.spotify.com/playlist/abc123',
+  spotify_playlist_name: 'My Converted Playlist',
+  total_youtube_tracks: 3,
+  found_spotify_tracks: 2,
+  tracks_added: 2,
+  not_found_tracks: ['Missing Song - Unknown Artist'],
+  api_errors: [],
+};
+
+export const handlers = [
+  http.get(API_URL('/auth/status'), () => HttpResponse.json({ user: mockUser })),
+  http.post(API_URL('/auth/refresh'), () => HttpResponse.json({ access_token: 'refreshed-token', expires_in: 3600 })),
+  http.get(API_URL('/spotify/playlists'), () => HttpResponse.json({ success: true, data: { playlists: [] } })),
+  http.get(API_URL('/playlist/info'), () => HttpResponse.json({ success: true, data: { title: 'Source Playlist', track_count: 3 } })),
+  http.post(API_URL('/convert/jobs'), () => HttpResponse.json({ success: true, data: { job_id: 'job-1' } })),
+  http.get(API_URL('/convert/jobs/:jobId'), () => HttpResponse.json({
+    success: true,
+    data: { status: 'completed', total: 3, processed: 3, matched: 2, failed: 1, events: [], result: mockResults },
+  })),
+];
@@ -0,0 +1,115 @@
+// --- Playlist Metadata ---
+// Description, visibility, collaborative flag and cover image of a newly created playlist.
+// Collaborative playlists and custom covers only exist on Spotify.
+
+export const DEFAULT_DESCRIPTION_TEMPLATE = 'Converted from {source_url} on {date}.';
+// Spotify cuts descriptions off at 300 characters
+export const MAX_DESCRIPTION_LENGTH = 300;
+
+export const DEFAULT_PLAYLIST_METADATA = {
+  descriptionTemplate: DEFAULT_DESCRIPTION_TEMPLATE,
+  isPublic: true,
+  collaborative: false,
+  // 'none' keeps the default mosaic, 'thumbnail' uses the source playlist's image, 'upload' the user's own
+  coverSource: 'none',
+  coverImage: null,
+  coverFileName: null,
+};
+
+// Fills {source_url}, {title} and {date} placeholders of a description template; `date` is already formatted
+// for the UI language
+export const applyDescriptionTemplate = (template, { sourceUrl, title, date }) => (
+  (template || '')
+    .replace(/\{source_url\}/g, sourceUrl || '')
+    .replace(/\{title\}/g, title || '')
+    .replace(/\{date\}/g, date || '')
+    .trim()
+    .slice(0, MAX_DESCRIPTION_LENGTH)
+);
+
+// Request fields for the metadata, for a playlist created on `destinationId`
+export const buildPlaylistMetadataPayload = (metadata, { destinationId, sourceUrl, sourceInfo, date }) => {
+  const supportsSpotifyExtras = destinationId === 'spotify';
+  const collaborative = supportsSpotifyExtras && metadata.collaborative;
+  const payload = {
+    playlist_description: applyDescriptionTemplate(metadata.descriptionTemplate, { sourceUrl, title: sourceInfo?.title, date }),
+    // Spotify only allows collaboration on private playlists
+    playlist_public: collaborative ? false : metadata.isPublic,
+  };
+  if (supportsSpotifyExtras) {
+    payload.playlist_collaborative = collaborative;
+    if (metadata.coverSource === 'thumbnail' && sourceInfo?.thumbnail_url) {
+      // The backend downloads the thumbnail, browsers can't read cross-origin images into a canvas
+      payload.playlist_cover = { source: 'thumbnail', url: sourceInfo.thumbnail_url };
+    } else if (metadata.coverSource === 'upload' && metadata.coverImage) {
+      payload.playlist_cover = { source: 'upload', image_base64: metadata.coverImage };
+    }
+  }
+  return payload;
+};
+
+// Settings summary shown with the results; null for requests that didn't create a playlist
+export const getPlaylistSettings = (payload) => {
+  if (!payload || payload.playlist_public === undefined) return null;
+  return {
+    description: payload.playlist_description || '',
+    public: Boolean(payload.playlist_public),
+    collaborative: Boolean(payload.playlist_collaborative),
+    cover: payload.playlist_cover?.source || null,
+  };
+};
+
+// --- Cover Images ---
+// Spotify accepts base64 JPEG covers of at most 256 KB
+const MAX_COVER_BYTES = 256 * 1024;
+const COVER_SIZE = 640;
+const JPEG_QUALITIES = [0.9, 0.8, 0.7, 0.6, 0.5];
+
+// Errors for the user carry the catalog key of their message
+const coverImageError = (message, messageKey) => Object.assign(new Error(message), { messageKey });
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(coverImageError('This file could not be read as an image.', 'metadata.coverUnreadable'));
+  };
+  image.src = url;
+});
+
+// Crops the image to a centered square, scales it down and encodes it as a small enough JPEG.
+// Resolves with the base64 data (no data: URL prefix).
+export const prepareCoverImage = async (file) => {
+  if (!file.type.startsWith('image/')) {
+    throw coverImageError('Choose a JPEG or PNG image.', 'metadata.coverWrongType');
+  }
+  const image = await loadImage(file);
+  const side = Math.min(image.naturalWidth, image.naturalHeight);
+  const size = Math.min(side, COVER_SIZE);
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  canvas.getContext('2d').drawImage(
+    image,
+    (image.naturalWidth - side) / 2,
+    (image.naturalHeight - side) / 2,
+    side,
+    side,
+    0,
+    0,
+    size,
+    size,
+  );
+  for (const quality of JPEG_QUALITIES) {
+    const base64 = canvas.toDataURL('image/jpeg', quality).split(',')[1];
+    if (base64.length * 0.75 <= MAX_COVER_BYTES) {
+      return base64;
+    }
+  }
+  throw coverImageError('This image is too detailed to fit the 256 KB cover limit. Try a simpler image.', 'metadata.coverTooLarge');
+};
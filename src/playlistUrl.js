@@ -0,0 +1,97 @@
+import { localizedMessage } from './i18n/translate';
+
+// --- YouTube Playlist URL Parsing ---
+// Users paste playlists in many shapes: music.youtube.com/playlist links, youtube.com/watch?v=..&list=..,
+// youtu.be links, music.youtube.com/browse/VL... pages or bare list IDs. All of them are reduced to a
+// playlist ID here, so bad input is caught before it ever reaches the backend.
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com'];
+const SHORT_LINK_HOSTS = ['youtu.be', 'www.youtu.be'];
+
+// Lists that only exist for the signed-in user on YouTube and can't be read by the backend
+// (Liked videos, Liked music, Watch later)
+const PRIVATE_LIST_IDS = ['LL', 'LM', 'WL'];
+
+// Prefixes of real, shareable playlists: user playlists (PL), albums (OLAK5uy_), channel uploads (UU),
+// favorites (FL) and YouTube Music's curated playlists (RDCLAK5uy_)
+const KNOWN_LIST_PREFIXES = ['PL', 'OLAK5uy_', 'UU', 'FL', 'RDCLAK5uy_'];
+
+const LIST_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export const buildYoutubePlaylistUrl = (playlistId) => `https://music.youtube.com/playlist?list=${playlistId}`;
+
+// Mixes and radios (RD...) are generated per listener and change on every visit
+const isMixId = (playlistId) => playlistId.startsWith('RD') && !playlistId.startsWith('RDCLAK5uy_');
+
+const checkPlaylistId = (playlistId) => {
+  if (!playlistId || !LIST_ID_PATTERN.test(playlistId)) {
+    return localizedMessage('validation.youtubeInvalidId');
+  }
+  if (PRIVATE_LIST_IDS.includes(playlistId)) {
+    return localizedMessage(`validation.youtubePrivateList.${playlistId}`);
+  }
+  if (isMixId(playlistId)) {
+    return localizedMessage('validation.youtubeMix');
+  }
+  if (playlistId.length < 12) {
+    return localizedMessage('validation.youtubeShortId');
+  }
+  return null;
+};
+
+const parseAsUrl = (input) => {
+  // Accept links pasted without a scheme, e.g. "music.youtube.com/playlist?list=..."
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(input) ? input : `https://${input}`;
+  try {
+    return new URL(withScheme);
+  } catch (err) {
+    return null;
+  }
+};
+
+const extractPlaylistId = (url) => {
+  if (SHORT_LINK_HOSTS.includes(url.hostname)) {
+    return url.searchParams.get('list');
+  }
+  if (!YOUTUBE_HOSTS.includes(url.hostname)) {
+    return undefined;
+  }
+  // music.youtube.com/browse/VLPL... is the playlist page with a "VL" prefix in front of the list ID
+  const browseMatch = url.pathname.match(/^\/browse\/VL([A-Za-z0-9_-]+)\/?$/);
+  if (browseMatch) {
+    return browseMatch[1];
+  }
+  return url.searchParams.get('list');
+};
+
+// Returns { playlistId, url } for a usable playlist, or { error } with a localizedMessage to show next to the input
+export const parseYoutubePlaylistInput = (rawInput) => {
+  const input = (rawInput || '').trim();
+  if (!input) {
+    return { error: localizedMessage('validation.youtubeEmpty') };
+  }
+
+  // Bare list ID, e.g. "PLxxxxxxxx" or "OLAK5uy_xxxxxxxx". IDs copied off a /browse/ page keep the "VL" prefix.
+  if (LIST_ID_PATTERN.test(input) && !input.includes('.')) {
+    const listId = input.startsWith('VL') ? input.slice(2) : input;
+    if (!PRIVATE_LIST_IDS.includes(listId) && !isMixId(listId) && !KNOWN_LIST_PREFIXES.some((prefix) => listId.startsWith(prefix))) {
+      return { error: localizedMessage('validation.youtubeNotAnId') };
+    }
+    const error = checkPlaylistId(listId);
+    return error ? { error } : { playlistId: listId, url: buildYoutubePlaylistUrl(listId) };
+  }
+
+  const url = parseAsUrl(input);
+  if (!url || !url.hostname.includes('.')) {
+    return { error: localizedMessage('validation.youtubeInvalidLink') };
+  }
+  const playlistId = extractPlaylistId(url);
+  if (playlistId === undefined) {
+    return { error: localizedMessage('validation.youtubeNotYoutube') };
+  }
+  if (!playlistId) {
+    return { error: localizedMessage('validation.youtubeNotPlaylist') };
+  }
+  const error = checkPlaylistId(playlistId);
+  return error ? { error } : { playlistId, url: buildYoutubePlaylistUrl(playlistId) };
+};
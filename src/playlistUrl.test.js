@@ -0,0 +1,44 @@
+import { parseYoutubePlaylistInput } from './playlistUrl';
+
+const LIST_ID = 'PLtestplaylist123';
+const PLAYLIST_URL = `https://music.youtube.com/playlist?list=${LIST_ID}`;
+
+const errorKey = (input) => parseYoutubePlaylistInput(input).error?.messageKey;
+
+describe('parseYoutubePlaylistInput', () => {
+  test.each([
+    ['a playlist link', PLAYLIST_URL],
+    ['a link without scheme', `music.youtube.com/playlist?list=${LIST_ID}`],
+    ['a watch link with a list', `https://www.youtube.com/watch?v=abc123&list=${LIST_ID}`],
+    ['a short link', `https://youtu.be/abc123?list=${LIST_ID}`],
+    ['a browse page', `https://music.youtube.com/browse/VL${LIST_ID}`],
+    ['a bare ID', LIST_ID],
+    ['a bare ID from a browse page', `VL${LIST_ID}`],
+    ['surrounding whitespace', `  ${PLAYLIST_URL}  `],
+  ])('accepts %s', (_, input) => {
+    expect(parseYoutubePlaylistInput(input)).toEqual({ playlistId: LIST_ID, url: PLAYLIST_URL });
+  });
+
+  test('accepts album and curated playlist IDs', () => {
+    expect(parseYoutubePlaylistInput('OLAK5uy_abcdefghijk').playlistId).toBe('OLAK5uy_abcdefghijk');
+    expect(parseYoutubePlaylistInput('RDCLAK5uy_abcdefghijk').playlistId).toBe('RDCLAK5uy_abcdefghijk');
+  });
+
+  test.each([
+    ['empty input', '   ', 'validation.youtubeEmpty'],
+    ['a word that is not an ID', 'favourites', 'validation.youtubeNotAnId'],
+    ['a VL-prefixed word', 'VLfavourites', 'validation.youtubeNotAnId'],
+    ['something that is not a link', 'not a link', 'validation.youtubeInvalidLink'],
+    ['another site', `https://example.com/playlist?list=${LIST_ID}`, 'validation.youtubeNotYoutube'],
+    ['a video without a list', 'https://www.youtube.com/watch?v=abc123', 'validation.youtubeNotPlaylist'],
+    ['a mix', 'https://www.youtube.com/watch?v=abc123&list=RDabc123def456', 'validation.youtubeMix'],
+    ['a truncated ID', 'PLshort', 'validation.youtubeShortId'],
+    ['an ID with invalid characters', 'https://music.youtube.com/playlist?list=PL$invalid$id', 'validation.youtubeInvalidId'],
+  ])('rejects %s', (_, input, messageKey) => {
+    expect(errorKey(input)).toBe(messageKey);
+  });
+
+  test.each(['LL', 'LM', 'WL', 'VLLL'])('explains that %s is private to the signed-in user', (input) => {
+    expect(errorKey(input)).toBe(`validation.youtubePrivateList.${input.replace(/^VL/, '')}`);
+  });
+});
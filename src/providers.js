@@ -0,0 +1,75 @@
+import { localizedMessage } from './i18n/translate';
+import { parseYoutubePlaylistInput } from './playlistUrl';
+
+// --- Music Providers & Conversion Directions ---
+// Labels, URL validation and auth endpoints for each service we convert between.
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Each validator returns a localizedMessage for input that can't be a playlist of that provider, or null if it looks fine
+const validateYoutubePlaylistUrl = (value) => parseYoutubePlaylistInput(value).error || null;
+
+const validateSpotifyPlaylistUrl = (value) => {
+  const url = parseUrl((value || '').trim());
+  if (!url) return localizedMessage('validation.invalidUrl');
+  if (url.hostname !== 'open.spotify.com') return localizedMessage('validation.notSpotify');
+  if (!/^\/(intl-[a-z-]+\/)?playlist\/[A-Za-z0-9]+\/?$/.test(url.pathname)) return localizedMessage('validation.notSpotifyPlaylist');
+  return null;
+};
+
+export const PROVIDERS = {
+  youtube: {
+    id: 'youtube',
+    label: 'YouTube Music',
+    shortLabel: 'YouTube',
+    urlPlaceholder: 'https://music.youtube.com/playlist?list=PL...',
+    validateUrl: validateYoutubePlaylistUrl,
+    // Canonical playlist link for any accepted input shape (watch links, youtu.be, browse/VL..., bare IDs)
+    normalizeUrl: (value) => parseYoutubePlaylistInput(value).url || (value || '').trim(),
+    loginPath: '/auth/youtube/login',
+    refreshPath: '/auth/youtube/refresh',
+  },
+  spotify: {
+    id: 'spotify',
+    label: 'Spotify',
+    shortLabel: 'Spotify',
+    urlPlaceholder: 'https://open.spotify.com/playlist/...',
+    validateUrl: validateSpotifyPlaylistUrl,
+    normalizeUrl: (value) => (value || '').trim(),
+    loginPath: '/auth/login',
+    refreshPath: '/auth/refresh',
+  },
+};
+
+export const DIRECTIONS = {
+  youtube_to_spotify: { source: 'youtube', destination: 'spotify' },
+  spotify_to_youtube: { source: 'spotify', destination: 'youtube' },
+};
+
+export const DEFAULT_DIRECTION = 'youtube_to_spotify';
+
+export const getDirection = (directionId) => {
+  const id = DIRECTIONS[directionId] ? directionId : DEFAULT_DIRECTION;
+  return { id, source: PROVIDERS[DIRECTIONS[id].source], destination: PROVIDERS[DIRECTIONS[id].destination] };
+};
+
+// Results from a YouTube Music -> Spotify conversion use Spotify-specific keys (spotify_playlist_url, ...),
+// other directions use generic ones. Fill in the generic keys so views only need to read one shape.
+export const normalizeResults = (results) => {
+  if (!results) return results;
+  return {
+    ...results,
+    source: results.source || 'youtube',
+    destination: results.destination || 'spotify',
+    destination_playlist_url: results.destination_playlist_url ?? results.spotify_playlist_url ?? null,
+    destination_playlist_name: results.destination_playlist_name ?? results.spotify_playlist_name ?? null,
+    total_source_tracks: results.total_source_tracks ?? results.total_youtube_tracks ?? null,
+    found_destination_tracks: results.found_destination_tracks ?? results.found_spotify_tracks ?? null,
+  };
+};
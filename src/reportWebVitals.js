@@ -10,4 +10,21 @@ const reportWebVitals = onPerfEntry => {
   }
 };
 
+// Reporter that POSTs each metric to `endpoint` as JSON. sendBeacon is tried first because CLS and LCP
+// are reported while the page is being hidden, when a normal request may be dropped.
+export const sendToEndpoint = (endpoint) => (metric) => {
+  const body = JSON.stringify({
+    name: metric.name,
+    value: metric.value,
+    delta: metric.delta,
+    id: metric.id,
+    page: window.location.pathname,
+  });
+  if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }))) {
+    return;
+  }
+  fetch(endpoint, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true })
+    .catch((err) => console.warn("Failed to report web vital:", metric.name, err));
+};
+
 export default reportWebVitals;
@@ -0,0 +1,22 @@
+// --- Service Worker Registration ---
+// Registers public/service-worker.js in production builds. The dev server serves fresh modules on
+// every change, a caching worker would only get in the way there.
+// The build id in the URL makes every deploy install a new worker, which replaces the caches of the old build.
+export const register = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`/service-worker.js?build=${__BUILD_ID__}`)
+      .then((registration) => console.log("Service worker registered:", registration.scope))
+      .catch((err) => console.error("Service worker registration failed:", err));
+  });
+};
+
+export const unregister = () => {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((err) => console.error("Service worker unregistration failed:", err));
+  }
+};
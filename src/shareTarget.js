@@ -0,0 +1,47 @@
+import { PROVIDERS, DIRECTIONS } from './providers';
+
+// --- Web Share Target ---
+// Sharing a playlist to the installed app opens "/?playlist_url=...&shared_text=...&shared_title=..."
+// (see share_target in public/manifest.json). Most music apps put the link into the text, sometimes
+// after the playlist title, so every field is searched for the first link.
+const SHARE_PARAMS = ['playlist_url', 'shared_text', 'shared_title'];
+// Survives the login redirect when the user shared a playlist while logged out
+const SHARED_URL_KEY = 'shared_playlist_url';
+
+const URL_PATTERN = /https?:\/\/\S+/;
+// Punctuation of the surrounding sentence, as in "Listen to this: https://...list=PL...."
+const TRAILING_PUNCTUATION_PATTERN = /[.,;:!?)\]'"]+$/;
+
+export const extractSharedUrl = (searchParams) => {
+  for (const param of SHARE_PARAMS) {
+    const match = (searchParams.get(param) || '').match(URL_PATTERN);
+    if (match) {
+      return match[0].replace(TRAILING_PUNCTUATION_PATTERN, '');
+    }
+  }
+  return null;
+};
+
+// Reads a shared link from the current address, strips the share parameters from it and keeps the link
+// in sessionStorage until clearSharedPlaylistUrl() is called
+export const takeSharedPlaylistUrl = () => {
+  const searchParams = new URLSearchParams(window.location.search);
+  const sharedUrl = extractSharedUrl(searchParams);
+  if (SHARE_PARAMS.some((param) => searchParams.has(param))) {
+    SHARE_PARAMS.forEach((param) => searchParams.delete(param));
+    const search = searchParams.toString();
+    window.history.replaceState(window.history.state, document.title, window.location.pathname + (search ? `?${search}` : ''));
+  }
+  if (sharedUrl) {
+    sessionStorage.setItem(SHARED_URL_KEY, sharedUrl);
+    return sharedUrl;
+  }
+  return sessionStorage.getItem(SHARED_URL_KEY);
+};
+
+export const clearSharedPlaylistUrl = () => sessionStorage.removeItem(SHARED_URL_KEY);
+
+// Conversion direction whose source accepts the shared link, or null if no provider does
+export const getDirectionForUrl = (url) => (
+  Object.keys(DIRECTIONS).find((id) => !PROVIDERS[DIRECTIONS[id].source].validateUrl(url)) || null
+);
@@ -0,0 +1,30 @@
+import { normalizeResults } from './providers';
+
+// --- Synced Playlists ---
+// 'manual' syncs only change when the user applies a diff, the others are run by the backend.
+// Labels live in the `sync.schedule` messages.
+export const SYNC_SCHEDULES = ['manual', 'daily', 'weekly'];
+
+export const DEFAULT_SYNC_SCHEDULE = 'daily';
+
+// Pairing for api.createSync from conversion results or a history record. Matching options are stored
+// with the sync so scheduled runs match new tracks the same way the conversion did.
+export const buildSyncPayload = (conversion, { schedule, removeMissing, matchingOptions }) => {
+  const results = normalizeResults(conversion);
+  return {
+    source: results.source || 'youtube',
+    destination: results.destination || 'spotify',
+    source_url: results.source_url,
+    destination_playlist_url: results.destination_playlist_url,
+    destination_playlist_name: results.destination_playlist_name || results.playlist_name || null,
+    schedule,
+    remove_missing: removeMissing,
+    matching_options: matchingOptions,
+  };
+};
+
+// Whether a sync can be set up: it needs both ends of the pairing
+export const canSync = (conversion) => {
+  const results = normalizeResults(conversion);
+  return Boolean(results?.source_url && results?.destination_playlist_url);
+};
@@ -0,0 +1,82 @@
+import { localizedMessage } from './i18n/translate';
+
+// --- Per-Track Diagnostics ---
+// Conversions report problems in two places: `tracks[].error` on newer backends and the `api_errors` list.
+// api_errors entries are either objects ({ track, message, code }) or, from older backends, plain strings.
+// Strings are linked to a track when they quote its title; anything else stays a general issue.
+// Problems are strings, except for entries without a message, which become localizedMessages.
+
+// Shorter titles would match inside unrelated messages
+const MIN_LINKABLE_TITLE_LENGTH = 4;
+
+const getTrackLabel = (track) => (track.artist ? `${track.title} - ${track.artist}` : track.title);
+
+// Message of a structured api_errors entry or track error, with its code when there is one
+export const formatProblem = (apiError) => {
+  const message = apiError.message || apiError.error;
+  if (!message) {
+    return apiError.code
+      ? localizedMessage('results.unknownProblemWithCode', { code: apiError.code })
+      : localizedMessage('results.unknownProblem');
+  }
+  return apiError.code ? `${message} (${apiError.code})` : message;
+};
+
+const isSameProblem = (a, b) => (typeof a === 'string' || typeof b === 'string'
+  ? a === b
+  : a.messageKey === b.messageKey && a.messageParams?.code === b.messageParams?.code);
+
+// Returns { tracks: [{ key, label, status, problems }], general: [problem] }
+export const getTrackDiagnostics = (results) => {
+  const entries = new Map();
+  const addProblem = (label, problem, status = null) => {
+    if (!entries.has(label)) {
+      entries.set(label, { key: label, label, status, problems: [] });
+    }
+    const entry = entries.get(label);
+    entry.status = entry.status || status;
+    if (!entry.problems.some((existing) => isSameProblem(existing, problem))) {
+      entry.problems.push(problem);
+    }
+  };
+
+  const tracks = Array.isArray(results?.tracks) ? results.tracks : [];
+  tracks.forEach((track) => {
+    if (track.error) {
+      addProblem(getTrackLabel(track), typeof track.error === 'string' ? track.error : formatProblem(track.error), track.status);
+    }
+  });
+
+  // Candidates for linking string errors, longest first so "Song (Live)" wins over "Song"
+  const statusByLabel = new Map();
+  tracks.forEach((track) => {
+    statusByLabel.set(getTrackLabel(track), track.status || null);
+    statusByLabel.set(track.title, track.status || null);
+  });
+  (results?.not_found_tracks || []).forEach((label) => statusByLabel.set(label, 'not_found'));
+  const linkableLabels = [...statusByLabel.keys()]
+    .filter((label) => label && label.length >= MIN_LINKABLE_TITLE_LENGTH)
+    .sort((a, b) => b.length - a.length);
+
+  const general = [];
+  (results?.api_errors || []).forEach((apiError) => {
+    if (apiError && typeof apiError === 'object') {
+      const label = apiError.track || apiError.title;
+      if (label) {
+        addProblem(label, formatProblem(apiError), statusByLabel.get(label));
+      } else {
+        general.push(formatProblem(apiError));
+      }
+      return;
+    }
+    const text = String(apiError);
+    const label = linkableLabels.find((candidate) => text.includes(candidate));
+    if (label) {
+      addProblem(label, text, statusByLabel.get(label));
+    } else {
+      general.push(text);
+    }
+  });
+
+  return { tracks: [...entries.values()], general };
+};
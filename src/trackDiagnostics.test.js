@@ -0,0 +1,37 @@
+import { getTrackDiagnostics } from './trackDiagnostics';
+
+describe('getTrackDiagnostics', () => {
+  test('links errors to the tracks that caused them', () => {
+    const diagnostics = getTrackDiagnostics({
+      tracks: [
+        { title: 'First Song', artist: 'Band', status: 'error', error: 'Search timed out' },
+        { title: 'Second Song', artist: 'Band', status: 'matched' },
+      ],
+      not_found_tracks: ['Lost Track - Nobody'],
+      api_errors: [
+        { track: 'Second Song - Band', message: 'Could not add track', code: 'add_failed' },
+        "Search failed for 'Lost Track - Nobody': 500",
+        '429 Too Many Requests',
+      ],
+    });
+
+    expect(diagnostics.tracks).toEqual([
+      { key: 'First Song - Band', label: 'First Song - Band', status: 'error', problems: ['Search timed out'] },
+      { key: 'Second Song - Band', label: 'Second Song - Band', status: 'matched', problems: ['Could not add track (add_failed)'] },
+      { key: 'Lost Track - Nobody', label: 'Lost Track - Nobody', status: 'not_found', problems: ["Search failed for 'Lost Track - Nobody': 500"] },
+    ]);
+    expect(diagnostics.general).toEqual(['429 Too Many Requests']);
+  });
+
+  test('leaves the wording of errors without a message to the UI language', () => {
+    const diagnostics = getTrackDiagnostics({
+      api_errors: [{ code: 'quota_exceeded' }, {}, { code: 'quota_exceeded' }],
+    });
+
+    expect(diagnostics.general).toEqual([
+      { messageKey: 'results.unknownProblemWithCode', messageParams: { code: 'quota_exceeded' } },
+      { messageKey: 'results.unknownProblem', messageParams: undefined },
+      { messageKey: 'results.unknownProblemWithCode', messageParams: { code: 'quota_exceeded' } },
+    ]);
+  });
+});
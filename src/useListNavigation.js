@@ -0,0 +1,51 @@
+import { useRef, useState } from 'react';
+
+// Keyboard navigation for result lists and tables: the list is a single tab stop, Arrow Up/Down,
+// Home and End move between items and Enter opens the item's first link or button.
+// Spread `getItemProps(index)` on every item (li or tr).
+export const useListNavigation = (itemCount) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const itemRefs = useRef([]);
+  // The list may have shrunk since the active item was chosen
+  const tabStopIndex = Math.min(activeIndex, itemCount - 1);
+
+  const focusItem = (index) => {
+    const nextIndex = Math.max(0, Math.min(itemCount - 1, index));
+    setActiveIndex(nextIndex);
+    itemRefs.current[nextIndex]?.focus();
+  };
+
+  const handleKeyDown = (event, index) => {
+    // Keys typed into a control inside the item belong to that control
+    if (event.target !== event.currentTarget) return;
+    switch (event.key) {
+      case 'ArrowDown':
+        focusItem(index + 1);
+        break;
+      case 'ArrowUp':
+        focusItem(index - 1);
+        break;
+      case 'Home':
+        focusItem(0);
+        break;
+      case 'End':
+        focusItem(itemCount - 1);
+        break;
+      case 'Enter':
+        event.currentTarget.querySelector('a, button')?.click();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  return (index) => ({
+    ref: (element) => {
+      itemRefs.current[index] = element;
+    },
+    tabIndex: index === tabStopIndex ? 0 : -1,
+    onKeyDown: (event) => handleKeyDown(event, index),
+    onFocus: () => setActiveIndex(index),
+  });
+};
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+
+// Tracks navigator.onLine. "Online" only means a network is connected, requests can still fail.
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+};
@@ -4,4 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
-}) 
\ No newline at end of file
+  define: {
+    // Identifies the build, the service worker names its caches after it
+    __BUILD_ID__: JSON.stringify(Date.now().toString(36)),
+  },
+  test: {
+    environment: 'jsdom',
+    globals: true,
+    setupFiles: './src/setupTests.js',
+  },
+})